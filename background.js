@@ -1,21 +1,25 @@
 // PromptExpander Background Script (Service Worker for Manifest V3)
 
-// Default templates and snippets
+importScripts('siterules.js', 'platforms.js', 'tokenizer.js');
+
+// Default templates and snippets. A template's body wraps the text put in
+// its {{content}} slot; its variables are defaults for {{name}} tags in the
+// body that nothing else defines.
 const DEFAULT_TEMPLATES = {
   'cot': {
     name: 'Chain of Thought',
-    pre: 'Think step-by-step:\n',
-    post: '\n\nProvide your final answer in a clear, structured format.'
+    body: 'Think step-by-step:\n{{content}}\n\nProvide your final answer in a clear, structured format.',
+    variables: {}
   },
   'creative': {
     name: 'Creative Writing',
-    pre: 'You are a Pulitzer Prize-winning author. Write with:\n',
-    post: '\n\nInclude vivid metaphors and rich sensory details.'
+    body: 'You are a Pulitzer Prize-winning author. Write with:\n{{content}}\n\nInclude vivid metaphors and rich sensory details.',
+    variables: {}
   },
   'analysis': {
     name: 'Deep Analysis',
-    pre: 'Analyze this thoroughly, considering multiple perspectives:\n',
-    post: '\n\nSummarize key insights and actionable recommendations.'
+    body: 'Analyze this thoroughly, considering {{perspectives}}:\n{{content}}\n\nSummarize key insights and actionable recommendations.',
+    variables: { perspectives: 'multiple perspectives' }
   }
 };
 
@@ -38,64 +42,530 @@ const DEFAULT_SNIPPETS = {
   }
 };
 
-// Extension installation and startup
-chrome.runtime.onInstalled.addListener((details) => {
-  console.log('PromptExpander installed/updated:', details.reason);
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  snippets: DEFAULT_SNIPPETS,
+  templates: DEFAULT_TEMPLATES,
+  siteRules: [],
+  aiPlatforms: [],
+  tokenizer: 'auto',
+  contextLimits: {},
+  tokenMeterEnabled: true,
+  pageContentTokenLimit: 4000,
+  excludedSelectors: ['input[type="password"]', '.code-editor', 'textarea[data-gramm="false"]'],
+  triggerPrefix: ':',
+  omniboxEnabled: true,
+  analyticsEnabled: true,
+  clipboardHistoryEnabled: false,
+  clipboardHistorySize: 20,
+  clipboardHistoryDays: 7,
+  sessionExpiryHours: 24,
+  dateLocale: '',
+  timeZone: '',
+  usage: {}
+};
+
+// Storage layer. chrome.storage.sync caps items at ~8 KB and the whole area
+// at ~100 KB, so the snippet library lives in chrome.storage.local (the
+// source of truth) and sync only carries a compact, chunked index of it.
+// Settings stay in sync. Callers use storage.get/set like chrome.storage.
+const LIBRARY_KEYS = ['snippets', 'templates', 'usage'];
+const INDEXED_KEYS = { snippets: 's', templates: 't' };
+const INDEX_META_KEY = 'libraryIndex';
+const INDEX_CHUNK_PREFIX = 'libraryIndex_';
+const INDEX_CHUNK_BYTES = 6000;
+const TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// Deletions are chunked like the index and capped, newest first, so they
+// never outgrow the sync quota. The prefix keeps them out of storage.get.
+const TOMBSTONE_CHUNK_PREFIX = 'libraryIndex_deleted_';
+const MAX_TOMBSTONES = 500;
+
+// The library was saved locally, but its index could not be written to sync
+class SyncIndexError extends Error {
+  constructor(cause) {
+    super(`Saved on this device but not synced: ${cause.message}`);
+    this.name = 'SyncIndexError';
+    this.cause = cause;
+  }
+}
+
+const storage = {
+  // Get keys from whichever area holds them; null returns everything
+  async get(keys) {
+    const requested = keys === null || keys === undefined
+      ? null
+      : (Array.isArray(keys) ? keys : [keys]);
+    
+    const libraryKeys = requested ? requested.filter(key => LIBRARY_KEYS.includes(key)) : LIBRARY_KEYS;
+    const syncKeys = requested ? requested.filter(key => !LIBRARY_KEYS.includes(key)) : null;
+    
+    const [local, sync] = await Promise.all([
+      libraryKeys.length > 0 ? chrome.storage.local.get(libraryKeys) : {},
+      syncKeys === null || syncKeys.length > 0 ? chrome.storage.sync.get(syncKeys) : {}
+    ]);
+    
+    const result = { ...sync, ...local };
+    
+    // Internal index keys are not part of the public data
+    Object.keys(result).forEach(key => {
+      if (key === INDEX_META_KEY || key.startsWith(INDEX_CHUNK_PREFIX)) {
+        delete result[key];
+      }
+    });
+    
+    return result;
+  },
+  
+  // Route library keys to local storage and settings to sync
+  async set(data) {
+    const local = {};
+    const sync = {};
+    
+    Object.entries(data).forEach(([key, value]) => {
+      if (LIBRARY_KEYS.includes(key)) {
+        local[key] = value;
+      } else {
+        sync[key] = value;
+      }
+    });
+    
+    const indexChanged = Object.keys(INDEXED_KEYS).some(key => key in local);
+    const previous = indexChanged ? await chrome.storage.local.get(Object.keys(INDEXED_KEYS)) : {};
+    
+    if (Object.keys(local).length > 0) {
+      await chrome.storage.local.set(local);
+    }
+    if (Object.keys(sync).length > 0) {
+      await chrome.storage.sync.set(sync);
+    }
+    
+    if (indexChanged) {
+      await writeLibraryIndex({ ...previous, ...local }, previous).catch((error) => {
+        // The local library is authoritative; callers still need to know
+        // that other devices will not see the change
+        throw new SyncIndexError(error);
+      });
+    }
+  }
+};
+
+// Cheap content fingerprint for the sync index (FNV-1a)
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+// Split entries so no single sync item exceeds the per-item quota
+function chunkEntries(entries) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let chunk = [];
+  
+  entries.forEach(entry => {
+    chunk.push(entry);
+    if (encoder.encode(JSON.stringify(chunk)).length > INDEX_CHUNK_BYTES && chunk.length > 1) {
+      chunk.pop();
+      chunks.push(chunk);
+      chunk = [entry];
+    }
+  });
+  if (chunk.length > 0) chunks.push(chunk);
+  
+  return chunks;
+}
+
+// Tombstones recorded in the synced index, by "kind:key". Indexes written
+// before tombstones were chunked keep them in the meta item itself.
+async function readLibraryTombstones(meta) {
+  const keys = [];
+  for (let i = 0; i < ((meta && meta.tombstoneChunks) || 0); i++) {
+    keys.push(`${TOMBSTONE_CHUNK_PREFIX}${i}`);
+  }
+  const stored = keys.length > 0 ? await chrome.storage.sync.get(keys) : {};
+  
+  const deleted = { ...((meta && meta.deleted) || {}) };
+  keys.forEach(key => {
+    (stored[key] || []).forEach(([id, time]) => {
+      deleted[id] = time;
+    });
+  });
+  return deleted;
+}
+
+// Write the chunked library index to sync, recording deletions as tombstones
+async function writeLibraryIndex(library, previous) {
+  const existing = await chrome.storage.sync.get([INDEX_META_KEY]);
+  const meta = existing[INDEX_META_KEY] || { chunks: 0, tombstoneChunks: 0 };
+  const now = Date.now();
+  const deleted = {};
+  
+  // Keep recent tombstones and add one for every removed item
+  Object.entries(await readLibraryTombstones(meta)).forEach(([id, time]) => {
+    if (now - time < TOMBSTONE_TTL) deleted[id] = time;
+  });
+  
+  const entries = [];
+  
+  Object.entries(INDEXED_KEYS).forEach(([area, kind]) => {
+    const items = library[area] || {};
+    
+    Object.keys(previous[area] || {}).forEach(key => {
+      if (!items[key]) deleted[`${kind}:${key}`] = now;
+    });
+    
+    Object.entries(items).forEach(([key, item]) => {
+      delete deleted[`${kind}:${key}`];
+      entries.push([kind, key, hashString(JSON.stringify(item)), item.updatedAt || 0]);
+    });
+  });
+  
+  const chunks = chunkEntries(entries);
+  const tombstoneChunks = chunkEntries(Object.entries(deleted)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_TOMBSTONES));
+  
+  const data = {
+    [INDEX_META_KEY]: { chunks: chunks.length, tombstoneChunks: tombstoneChunks.length, updatedAt: now }
+  };
+  chunks.forEach((entriesChunk, i) => {
+    data[`${INDEX_CHUNK_PREFIX}${i}`] = entriesChunk;
+  });
+  tombstoneChunks.forEach((tombstones, i) => {
+    data[`${TOMBSTONE_CHUNK_PREFIX}${i}`] = tombstones;
+  });
+  
+  await chrome.storage.sync.set(data);
+  
+  // Remove chunks left over from a larger index
+  const staleChunks = [];
+  for (let i = chunks.length; i < (meta.chunks || 0); i++) {
+    staleChunks.push(`${INDEX_CHUNK_PREFIX}${i}`);
+  }
+  for (let i = tombstoneChunks.length; i < (meta.tombstoneChunks || 0); i++) {
+    staleChunks.push(`${TOMBSTONE_CHUNK_PREFIX}${i}`);
+  }
+  if (staleChunks.length > 0) {
+    await chrome.storage.sync.remove(staleChunks);
+  }
+}
+
+// Apply deletions made on other devices to the local library
+async function reconcileLibraryIndex(meta) {
+  const deleted = await readLibraryTombstones(meta);
+  const library = await chrome.storage.local.get(Object.keys(INDEXED_KEYS));
+  const updates = {};
+  
+  Object.entries(INDEXED_KEYS).forEach(([area, kind]) => {
+    const items = { ...(library[area] || {}) };
+    let changed = false;
+    
+    Object.entries(items).forEach(([key, item]) => {
+      const deletedAt = deleted[`${kind}:${key}`];
+      if (deletedAt && deletedAt > (item.updatedAt || 0)) {
+        delete items[key];
+        changed = true;
+      }
+    });
+    
+    if (changed) updates[area] = items;
+  });
+  
+  if (Object.keys(updates).length > 0) {
+    await storage.set(updates);
+    console.log('Applied library deletions from another device');
+  }
+}
+
+// Storage schema version and ordered migration steps. Each step receives the
+// data written by the previous version and returns the data for its version.
+// Never edit a released step; add a new one and bump SCHEMA_VERSION instead.
+const SCHEMA_VERSION = 12;
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Adopt unversioned 0.1.0 data and fill in missing settings',
+    migrate(data) {
+      const migrated = { ...data };
+      
+      Object.keys(DEFAULT_SETTINGS).forEach(key => {
+        if (migrated[key] === undefined) {
+          migrated[key] = DEFAULT_SETTINGS[key];
+        }
+      });
+      
+      return migrated;
+    }
+  },
+  {
+    version: 2,
+    description: 'Repair usage entries whose domains were not stored as arrays',
+    migrate(data) {
+      const usage = {};
+      
+      Object.entries(data.usage || {}).forEach(([day, entries]) => {
+        usage[day] = {};
+        Object.entries(entries || {}).forEach(([key, entry]) => {
+          usage[day][key] = {
+            count: Number(entry && entry.count) || 0,
+            domains: Array.isArray(entry && entry.domains) ? entry.domains : []
+          };
+        });
+      });
+      
+      return { ...data, usage };
+    }
+  },
+  {
+    version: 3,
+    description: 'Move snippets, templates and usage out of sync storage',
+    migrate(data) {
+      // The storage layer routes library keys to local storage on write and
+      // migrateStorage clears the old sync copies
+      return { ...data };
+    }
+  },
+  {
+    version: 4,
+    description: 'Add date locale and time zone settings',
+    migrate(data) {
+      // Empty values mean "browser default"
+      return { dateLocale: '', timeZone: '', ...data };
+    }
+  },
+  {
+    version: 5,
+    description: 'Turn template pre/post text into a body with a {{content}} slot',
+    migrate(data) {
+      const templates = {};
+      
+      Object.entries(data.templates || {}).forEach(([key, template]) => {
+        const { pre, post, ...rest } = template || {};
+        templates[key] = typeof rest.body === 'string'
+          ? { variables: {}, ...rest }
+          : { ...rest, body: `${pre || ''}{{content}}${post || ''}`, variables: {} };
+      });
+      
+      return { ...data, templates };
+    }
+  },
+  {
+    version: 6,
+    description: 'Turn excluded domains into site rules',
+    migrate(data) {
+      const { excludedDomains, ...rest } = data;
+      const rules = (excludedDomains || []).map(pattern => ({ pattern, enabled: false }));
+      
+      return { ...rest, siteRules: [...(rest.siteRules || []), ...rules] };
+    }
+  },
+  {
+    version: 7,
+    description: 'Add custom AI platform settings',
+    migrate(data) {
+      return { aiPlatforms: [], ...data };
+    }
+  },
+  {
+    version: 8,
+    description: 'Add tokenizer setting',
+    migrate(data) {
+      return { tokenizer: 'auto', ...data };
+    }
+  },
+  {
+    version: 9,
+    description: 'Add token meter and context limit settings',
+    migrate(data) {
+      return { contextLimits: {}, tokenMeterEnabled: true, ...data };
+    }
+  },
+  {
+    version: 10,
+    description: 'Add page content token limit',
+    migrate(data) {
+      return { pageContentTokenLimit: 4000, ...data };
+    }
+  },
+  {
+    version: 11,
+    description: 'Add clipboard history settings',
+    migrate(data) {
+      // Off unless the user turns it on
+      return { clipboardHistoryEnabled: false, clipboardHistorySize: 20, clipboardHistoryDays: 7, ...data };
+    }
+  },
+  {
+    version: 12,
+    description: 'Replace the unused session storage setting with a session expiry',
+    migrate(data) {
+      const { sessionStorage, ...rest } = data;
+      return { sessionExpiryHours: 24, ...rest };
+    }
+  }
+];
+
+const MIGRATION_BACKUP_KEY = 'migrationBackup';
+
+// Apply every migration newer than the data's schema version
+function applyMigrations(data) {
+  const fromVersion = data.schemaVersion || 0;
+  let migrated = { ...data };
+  
+  MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .sort((a, b) => a.version - b.version)
+    .forEach(migration => {
+      console.log(`Migrating storage to v${migration.version}: ${migration.description}`);
+      migrated = migration.migrate(migrated);
+      migrated.schemaVersion = migration.version;
+    });
+  
+  return migrated;
+}
+
+// Migrate stored data in place, keeping a backup of the previous data
+async function migrateStorage(previousVersion) {
+  const syncData = await chrome.storage.sync.get(null);
+  const fromVersion = syncData.schemaVersion || 0;
+  
+  if (fromVersion >= SCHEMA_VERSION) {
+    return;
+  }
   
-  // Initialize default settings
-  chrome.storage.sync.set({
-    enabled: true,
-    snippets: DEFAULT_SNIPPETS,
-    templates: DEFAULT_TEMPLATES,
-    excludedDomains: [],
-    excludedSelectors: ['input[type="password"]', '.code-editor', 'textarea[data-gramm="false"]'],
-    triggerPrefix: ':',
-    omniboxEnabled: true,
-    analyticsEnabled: true,
-    sessionStorage: {},
-    usage: {}
+  // Library keys may still be in sync (before v3) or already local
+  const libraryData = await chrome.storage.local.get(LIBRARY_KEYS);
+  const data = { ...libraryData, ...syncData };
+  
+  await chrome.storage.local.set({
+    [MIGRATION_BACKUP_KEY]: {
+      schemaVersion: fromVersion,
+      extensionVersion: previousVersion || null,
+      timestamp: Date.now(),
+      data: data
+    }
   });
   
-  // Create context menu
-  chrome.contextMenus.create({
-    id: 'promptexpander-menu',
-    title: 'PromptExpander',
-    contexts: ['editable']
+  const migrated = applyMigrations(data);
+  await storage.set(migrated).catch((error) => {
+    // Removing the old library from sync below frees room for the index,
+    // which the next library change writes again
+    if (!(error instanceof SyncIndexError)) throw error;
+    console.warn('PromptExpander:', error.message);
   });
   
-  chrome.contextMenus.create({
-    id: 'expand-selection',
-    parentId: 'promptexpander-menu',
-    title: 'Expand Selected Text',
-    contexts: ['editable']
+  // Drop keys that migrations removed, and library copies left in sync
+  const removedKeys = Object.keys(data).filter(key => !(key in migrated));
+  const staleSyncKeys = LIBRARY_KEYS.filter(key => key in syncData);
+  if (removedKeys.length > 0 || staleSyncKeys.length > 0) {
+    await chrome.storage.sync.remove([...new Set([...removedKeys, ...staleSyncKeys])]);
+  }
+  
+  console.log(`Storage migrated from v${fromVersion} to v${migrated.schemaVersion}`);
+}
+
+// Restore the data saved before the last migration
+async function restoreMigrationBackup() {
+  const result = await chrome.storage.local.get([MIGRATION_BACKUP_KEY]);
+  const backup = result[MIGRATION_BACKUP_KEY];
+  
+  if (!backup) {
+    throw new Error('No migration backup available');
+  }
+  
+  // Bring the backup up to the current schema before this version reads it
+  const migrated = applyMigrations(backup.data);
+  
+  // Clear settings but keep the sync index, so the rewrite below records
+  // tombstones for items that only exist after the update
+  const syncData = await chrome.storage.sync.get(null);
+  const settingKeys = Object.keys(syncData).filter(key => key !== INDEX_META_KEY && !key.startsWith(INDEX_CHUNK_PREFIX));
+  await chrome.storage.sync.remove(settingKeys);
+  await chrome.storage.local.remove(LIBRARY_KEYS.filter(key => !(key in migrated)));
+  
+  await storage.set(migrated).catch((error) => {
+    // The library is restored locally; the next library change retries
+    // the index
+    if (!(error instanceof SyncIndexError)) throw error;
+    console.warn('PromptExpander:', error.message);
   });
   
-  chrome.contextMenus.create({
-    id: 'open-snippet-menu',
-    parentId: 'promptexpander-menu',
-    title: 'Open Snippet Menu',
-    contexts: ['editable']
+  return backup;
+}
+
+// Extension installation and startup
+chrome.runtime.onInstalled.addListener((details) => {
+  console.log('PromptExpander installed/updated:', details.reason);
+  
+  if (details.reason === 'install') {
+    // Seed defaults only on a fresh install
+    storage.set({
+      ...DEFAULT_SETTINGS,
+      schemaVersion: SCHEMA_VERSION
+    });
+  } else {
+    // Updates keep user data and only run pending migrations
+    migrateStorage(details.previousVersion).catch((error) => {
+      console.error('Storage migration failed, previous data kept in local backup:', error);
+    });
+  }
+  
+  // Create context menu (menus persist across updates, so start clean)
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: 'promptexpander-menu',
+      title: 'PromptExpander',
+      contexts: ['editable']
+    });
+    
+    chrome.contextMenus.create({
+      id: 'expand-selection',
+      parentId: 'promptexpander-menu',
+      title: 'Expand Selected Text',
+      contexts: ['editable']
+    });
+    
+    chrome.contextMenus.create({
+      id: 'open-snippet-menu',
+      parentId: 'promptexpander-menu',
+      title: 'Open Snippet Menu',
+      contexts: ['editable']
+    });
   });
 });
 
 // Handle omnibox input
 chrome.omnibox.onInputChanged.addListener((text, suggest) => {
   if (text.startsWith(':')) {
-    // Search for matching snippets
-    chrome.storage.sync.get(['snippets'], (result) => {
+    // Search the snippets that apply to the current tab
+    Promise.all([
+      storage.get(['snippets', 'aiPlatforms']),
+      chrome.tabs.query({ active: true, currentWindow: true })
+    ]).then(([result, tabs]) => {
       const snippets = result.snippets || {};
+      const url = tabs[0] && tabs[0].url;
+      const platform = url && PromptExpanderPlatforms.findPlatform(PromptExpanderPlatforms.getPlatforms(result.aiPlatforms), url);
+      const available = url ? PromptExpanderSiteRules.getSnippetsForUrl(snippets, url, platform && platform.id) : {};
       const suggestions = [];
       
-      Object.keys(snippets).forEach(key => {
-        if (key.includes(text.substring(1))) {
+      Object.entries(available).forEach(([trigger, key]) => {
+        if (trigger.includes(text.substring(1))) {
           suggestions.push({
-            content: key,
-            description: `${key} - ${snippets[key].description || 'No description'}`
+            content: trigger,
+            description: `${trigger} - ${snippets[key].description || 'No description'}`
           });
         }
       });
       
       suggest(suggestions);
+    }).catch((error) => {
+      console.error('Failed to load omnibox suggestions:', error);
+      suggest([]);
     });
   }
 });
@@ -124,6 +594,11 @@ chrome.commands.onCommand.addListener((command) => {
           type: 'UNDO_EXPANSION'
         });
         break;
+      case 'expansion-redo':
+        chrome.tabs.sendMessage(tabs[0].id, {
+          type: 'REDO_EXPANSION'
+        });
+        break;
     }
   });
 });
@@ -145,52 +620,931 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
   }
 });
 
+// Variable filters, applied left to right: {{clipboard|trim|upper}}.
+// Each filter receives the current string value followed by its arguments
+// ({{selected_text|truncate:500}} calls truncate(value, '500')).
+const VARIABLE_FILTERS = {
+  trim: (value) => value.trim(),
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+  capitalize: (value) => value.charAt(0).toUpperCase() + value.slice(1),
+  title: (value) => value.toLowerCase().replace(/(^|\s)\S/g, (char) => char.toUpperCase()),
+  slug: (value) => value
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, ''),
+  oneline: (value) => value.replace(/\s+/g, ' ').trim(),
+  squeeze: (value) => value.replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n'),
+  truncate: (value, length = '100', suffix = '…') => {
+    const max = parseInt(length, 10);
+    if (isNaN(max) || value.length <= max) return value;
+    return value.substring(0, Math.max(0, max - suffix.length)) + suffix;
+  },
+  words: (value, count = '50', suffix = '…') => {
+    const words = value.trim().split(/\s+/);
+    const max = parseInt(count, 10);
+    if (isNaN(max) || words.length <= max) return value;
+    return words.slice(0, max).join(' ') + suffix;
+  },
+  quote: (value) => value.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'),
+  wrap: (value, before = '"', after = before) => `${before}${value}${after}`,
+  code: (value, language = '') => `\`\`\`${language}\n${value.replace(/\n$/, '')}\n\`\`\``,
+  json: (value) => JSON.stringify(value),
+  indent: (value, spaces = '2') => {
+    const padding = ' '.repeat(parseInt(spaces, 10) || 0);
+    return value.split('\n').map(line => (line ? padding + line : line)).join('\n');
+  },
+  replace: (value, search = '', replacement = '') => (search ? value.split(search).join(replacement) : value),
+  prefix: (value, text = '') => (value ? text + value : value),
+  suffix: (value, text = '') => (value ? value + text : value),
+  default: (value, fallback = '') => (value.trim() ? value : fallback),
+  strip_html: (value) => value.replace(/<[^>]*>/g, ''),
+  first_line: (value) => value.split('\n')[0],
+  urlencode: (value) => encodeURIComponent(value)
+};
+
+// Extension point for additional filters
+function registerVariableFilter(name, filter) {
+  if (!/^[a-z_][\w]*$/i.test(name)) {
+    throw new Error(`Invalid filter name: ${name}`);
+  }
+  if (typeof filter !== 'function') {
+    throw new Error(`Filter "${name}" must be a function`);
+  }
+  VARIABLE_FILTERS[name] = filter;
+}
+
+// Split on a separator, ignoring separators inside double quotes
+function splitUnquoted(text, separator) {
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (char === '\\' && inQuotes && i + 1 < text.length) {
+      current += char + text[++i];
+    } else if (char === '"') {
+      inQuotes = !inQuotes;
+      current += char;
+    } else if (char === separator && !inQuotes) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  
+  return parts;
+}
+
+// Remove surrounding quotes from a filter argument
+function unquoteArgument(argument) {
+  const trimmed = argument.trim();
+  if (trimmed.length >= 2 && trimmed.startsWith('"') && trimmed.endsWith('"')) {
+    return trimmed.slice(1, -1).replace(/\\(["\\])/g, '$1').replace(/\\n/g, '\n');
+  }
+  return trimmed;
+}
+
+// Parse "name+offset:argument|filter:arg|filter" into its parts, e.g.
+// {{date-1w:ddd|upper}} -> date, offsets ['-1w'], argument 'ddd', filter upper.
+// {{select:Tone|formal,casual}} carries its options in the first segment.
+function parseVariableExpression(expression) {
+  const [reference, ...filterParts] = splitUnquoted(expression, '|');
+  const match = reference.trim().match(/^([A-Za-z_][\w]*)((?:[+-]\d+(?:min|mo|[smhdwMy]))*)(?::([\s\S]*))?$/);
+  const name = match ? match[1] : reference.trim();
+  const choices = name === 'select' && filterParts.length > 0 ? filterParts.shift() : null;
+  
+  return {
+    name: name,
+    offsets: match && match[2] ? match[2].match(/[+-]\d+(?:min|mo|[smhdwMy])/g) : [],
+    argument: match && match[3] !== undefined ? match[3] : null,
+    choices: choices !== null ? splitUnquoted(choices, ',').map(unquoteArgument) : null,
+    filters: filterParts.map(part => {
+      const [filterName, ...args] = splitUnquoted(part, ':');
+      return { name: filterName.trim(), args: args.map(unquoteArgument) };
+    })
+  };
+}
+
+// Run a value through its filters
+function applyVariableFilters(value, filters) {
+  return filters.reduce((current, filter) => {
+    const fn = VARIABLE_FILTERS[filter.name];
+    if (!fn) {
+      throw new Error(`Unknown filter "${filter.name}"`);
+    }
+    return String(fn(current, ...filter.args) ?? '');
+  }, String(value ?? ''));
+}
+
+// Date/time variables. {{date}}, {{time}} and {{datetime}} accept a format
+// ({{date:YYYY-MM-DD}}, {{time:HH:mm}}) and relative offsets ({{date+7d}},
+// {{date-1w:ddd}}). Locale and time zone come from settings.
+const DATE_OFFSET_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  min: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Shift a date by offsets such as '+7d', '-1w', '+2mo' or '+1y'
+function applyDateOffsets(date, offsets) {
+  const result = new Date(date.getTime());
+  
+  offsets.forEach(offset => {
+    const [, sign, amount, unit] = offset.match(/^([+-])(\d+)(min|mo|[smhdwMy])$/);
+    const value = parseInt(amount, 10) * (sign === '-' ? -1 : 1);
+    
+    if (unit === 'M' || unit === 'mo') {
+      result.setMonth(result.getMonth() + value);
+    } else if (unit === 'y') {
+      result.setFullYear(result.getFullYear() + value);
+    } else {
+      result.setTime(result.getTime() + value * DATE_OFFSET_UNITS[unit]);
+    }
+  });
+  
+  return result;
+}
+
+// Wall-clock parts of a date in the configured locale and time zone
+function getDateParts(date, options) {
+  const formatOptions = { timeZone: options.timeZone || undefined };
+  const numeric = new Intl.DateTimeFormat('en-US', {
+    ...formatOptions,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23',
+    timeZoneName: 'longOffset'
+  }).formatToParts(date);
+  
+  const part = (type) => (numeric.find(entry => entry.type === type) || {}).value;
+  const locale = options.locale || undefined;
+  const name = (opts) => new Intl.DateTimeFormat(locale, { ...formatOptions, ...opts }).format(date);
+  
+  const year = parseInt(part('year'), 10);
+  const month = parseInt(part('month'), 10);
+  const day = parseInt(part('day'), 10);
+  const offset = (part('timeZoneName') || '').replace('GMT', '') || '+00:00';
+  
+  return {
+    year,
+    month,
+    day,
+    hour: parseInt(part('hour'), 10) % 24,
+    minute: parseInt(part('minute'), 10),
+    second: parseInt(part('second'), 10),
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+    monthLong: name({ month: 'long' }),
+    monthShort: name({ month: 'short' }),
+    weekdayLong: name({ weekday: 'long' }),
+    weekdayShort: name({ weekday: 'short' }),
+    offset: offset,
+    ...getIsoWeek(year, month, day)
+  };
+}
+
+// ISO 8601 week number and week-numbering year
+function getIsoWeek(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const weekday = date.getUTCDay() || 7;
+  
+  // The ISO week belongs to the year of its Thursday
+  date.setUTCDate(date.getUTCDate() + 4 - weekday);
+  const weekYear = date.getUTCFullYear();
+  const yearStart = new Date(Date.UTC(weekYear, 0, 1));
+  const week = Math.ceil(((date - yearStart) / 86400000 + 1) / 7);
+  
+  return { isoWeek: week, isoWeekYear: weekYear };
+}
+
+// Format a date with moment-style tokens; [text] is output literally
+function formatDate(date, format, options = {}) {
+  const parts = getDateParts(date, options);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hour12 = parts.hour % 12 || 12;
+  const dayOfYear = Math.round((Date.UTC(parts.year, parts.month - 1, parts.day) - Date.UTC(parts.year, 0, 1)) / 86400000) + 1;
+  
+  const tokens = {
+    YYYY: () => String(parts.year),
+    YY: () => pad(parts.year % 100),
+    GGGG: () => String(parts.isoWeekYear),
+    Q: () => String(Math.ceil(parts.month / 3)),
+    MMMM: () => parts.monthLong,
+    MMM: () => parts.monthShort,
+    MM: () => pad(parts.month),
+    M: () => String(parts.month),
+    DDDD: () => pad(dayOfYear, 3),
+    DD: () => pad(parts.day),
+    D: () => String(parts.day),
+    dddd: () => parts.weekdayLong,
+    ddd: () => parts.weekdayShort,
+    d: () => String(parts.weekday),
+    E: () => String(parts.weekday || 7),
+    WW: () => pad(parts.isoWeek),
+    W: () => String(parts.isoWeek),
+    HH: () => pad(parts.hour),
+    H: () => String(parts.hour),
+    hh: () => pad(hour12),
+    h: () => String(hour12),
+    mm: () => pad(parts.minute),
+    m: () => String(parts.minute),
+    ss: () => pad(parts.second),
+    s: () => String(parts.second),
+    A: () => (parts.hour < 12 ? 'AM' : 'PM'),
+    a: () => (parts.hour < 12 ? 'am' : 'pm'),
+    Z: () => parts.offset,
+    X: () => String(Math.floor(date.getTime() / 1000))
+  };
+  
+  return format.replace(/\[([^\]]*)\]|YYYY|YY|GGGG|Q|MMMM|MMM|MM|M|DDDD|DD|D|dddd|ddd|d|E|WW|W|HH|H|hh|h|mm|m|ss|s|A|a|Z|X/g, (token, literal) => {
+    return literal !== undefined ? literal : tokens[token]();
+  });
+}
+
+// Build a date/time variable that understands formats and offsets
+function createDateVariable(now, options, defaultStyle) {
+  return ({ argument, offsets }) => {
+    const date = applyDateOffsets(now, offsets);
+    
+    if (argument) {
+      return formatDate(date, argument, options);
+    }
+    
+    return date.toLocaleString(options.locale || undefined, {
+      ...defaultStyle,
+      timeZone: options.timeZone || undefined
+    });
+  };
+}
+
+// Errors that should abort resolution and be shown to the user, rather than
+// leaving the offending tag in place
+class VariableResolutionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VariableResolutionError';
+  }
+}
+
+// Snippet content is a small template language, parsed into an AST before
+// anything is resolved:
+//   {{name:argument|filter}}                    variable
+//   {{#if expr}} ... {{else}} ... {{/if}}      condition ({{#unless}} inverts)
+//   {{#each expr}}{{this}}{{/each}}            loop over a comma-separated value
+// Conditions are false for empty values and "no", "false" or "0" (so checkbox
+// fields work as-is) and may compare: {{#if tone == "formal"}}. Loops expose
+// {{this}}, {{@index}}, {{@number}}, {{@first}} and {{@last}}.
+const TEMPLATE_BLOCKS = ['if', 'unless', 'each'];
+const TEMPLATE_FALSE_VALUES = ['', 'no', 'false', '0'];
+const MAX_SNIPPET_DEPTH = 10;
+
+// Split text into text, variable and block tag tokens
+function tokenizeTemplate(text) {
+  const tokens = [];
+  const pattern = /\{\{([^{}]+)\}\}/g;
+  let lastIndex = 0;
+  let match;
+  
+  while ((match = pattern.exec(text))) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    
+    const raw = match[0];
+    const body = match[1].trim();
+    const line = text.slice(0, match.index).split('\n').length;
+    
+    if (body.startsWith('#')) {
+      const [, name, expression] = body.match(/^#(\S*)\s*([\s\S]*)$/);
+      tokens.push({ type: 'open', name, expression, raw, line });
+    } else if (body.startsWith('/')) {
+      tokens.push({ type: 'close', name: body.slice(1).trim(), raw, line });
+    } else if (body === 'else') {
+      tokens.push({ type: 'else', raw, line });
+    } else {
+      tokens.push({ type: 'variable', expression: match[1], raw, line });
+    }
+    
+    lastIndex = pattern.lastIndex;
+  }
+  
+  if (lastIndex < text.length) {
+    tokens.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+  
+  trimStandaloneTags(tokens);
+  return tokens;
+}
+
+// A block tag alone on its line takes the whole line with it, so blocks can
+// be written on their own lines without leaving blank lines behind
+function trimStandaloneTags(tokens) {
+  const isBlockTag = (token) => ['open', 'close', 'else'].includes(token.type);
+  
+  const standalone = tokens.map((token, i) => {
+    if (!isBlockTag(token)) return false;
+    
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    const startsLine = !prev || (prev.type === 'text' &&
+      (/\n[ \t]*$/.test(prev.value) || (i === 1 && /^[ \t]*$/.test(prev.value))));
+    const endsLine = !next || (next.type === 'text' &&
+      (/^[ \t]*\r?\n/.test(next.value) || (i === tokens.length - 2 && /^[ \t]*$/.test(next.value))));
+    
+    return startsLine && endsLine;
+  });
+  
+  standalone.forEach((isStandalone, i) => {
+    if (!isStandalone) return;
+    if (tokens[i - 1]) tokens[i - 1].value = tokens[i - 1].value.replace(/[ \t]*$/, '');
+    if (tokens[i + 1]) tokens[i + 1].value = tokens[i + 1].value.replace(/^[ \t]*(\r?\n)?/, '');
+  });
+}
+
+// Build the AST: text and variable nodes, and block nodes with children
+// (and inverse children after {{else}})
+function parseTemplate(text) {
+  const root = { children: [], inverse: [], hasElse: false };
+  const stack = [root];
+  
+  const append = (node) => {
+    const parent = stack[stack.length - 1];
+    (parent.hasElse ? parent.inverse : parent.children).push(node);
+  };
+  
+  tokenizeTemplate(text).forEach(token => {
+    switch (token.type) {
+      case 'text':
+      case 'variable':
+        append(token);
+        break;
+        
+      case 'open': {
+        if (!TEMPLATE_BLOCKS.includes(token.name)) {
+          throw new VariableResolutionError(`Unknown block ${token.raw} on line ${token.line}; use #if, #unless or #each`);
+        }
+        if (!token.expression) {
+          throw new VariableResolutionError(`${token.raw} on line ${token.line} needs a value to test, e.g. {{#${token.name} selected_text}}`);
+        }
+        
+        const block = { ...token, type: 'block', children: [], inverse: [], hasElse: false };
+        append(block);
+        stack.push(block);
+        break;
+      }
+        
+      case 'else': {
+        const block = stack[stack.length - 1];
+        if (block === root) {
+          throw new VariableResolutionError(`{{else}} on line ${token.line} is not inside an #if, #unless or #each block`);
+        }
+        if (block.hasElse) {
+          throw new VariableResolutionError(`${block.raw} on line ${block.line} has more than one {{else}}`);
+        }
+        block.hasElse = true;
+        break;
+      }
+        
+      case 'close': {
+        const block = stack[stack.length - 1];
+        if (block === root) {
+          throw new VariableResolutionError(`${token.raw} on line ${token.line} has no matching {{#${token.name}}}`);
+        }
+        if (block.name !== token.name) {
+          throw new VariableResolutionError(`${token.raw} on line ${token.line} cannot close ${block.raw} from line ${block.line}; expected {{/${block.name}}}`);
+        }
+        stack.pop();
+        break;
+      }
+    }
+  });
+  
+  if (stack.length > 1) {
+    const block = stack[stack.length - 1];
+    throw new VariableResolutionError(`${block.raw} on line ${block.line} is never closed; add {{/${block.name}}}`);
+  }
+  
+  return root.children;
+}
+
+// Parse snippet or template text, naming its source (e.g. 'snippet "x"')
+// in syntax errors
+function parseTemplateSource(text, source) {
+  try {
+    return parseTemplate(text || '');
+  } catch (error) {
+    if (source && error instanceof VariableResolutionError) {
+      error.message += ` in ${source}`;
+    }
+    throw error;
+  }
+}
+
+// Render AST nodes; scope holds the variables, loop locals, the snippet and
+// template libraries, the output format and the chain of snippets being
+// rendered
+function renderTemplate(nodes, scope) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'variable':
+        return renderVariable(node, scope);
+      case 'block':
+        return renderBlock(node, scope);
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+// Render a variable tag; unknown variables and non-fatal errors leave the
+// tag in place for the user to see
+function renderVariable(node, scope) {
+  const parsed = parseVariableExpression(node.expression);
+  
+  try {
+    const value = evaluateVariable(parsed, scope);
+    if (value === undefined) return node.raw;
+    
+    const output = applyVariableFilters(value, parsed.filters);
+    return isMarkupValue(parsed, scope) || scope.format !== 'html' ? output : escapeHtml(output);
+  } catch (error) {
+    if (error instanceof VariableResolutionError) throw error;
+    console.warn(`PromptExpander: ${error.message} in ${node.raw}`);
+    return node.raw;
+  }
+}
+
+// In HTML snippets, values are escaped unless they are markup already: a
+// template's {{content}} or a reference to another HTML snippet
+function isMarkupValue(parsed, scope) {
+  if (parsed.name === 'content' && Object.prototype.hasOwnProperty.call(scope.locals, 'content')) {
+    return true;
+  }
+  if (parsed.name === 'snippet') {
+    const snippet = scope.snippets[(parsed.argument || '').trim()];
+    return Boolean(snippet && snippet.format === 'html');
+  }
+  return false;
+}
+
+// Escape text for inclusion in HTML snippet output
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Render an #if, #unless or #each block
+function renderBlock(node, scope) {
+  switch (node.name) {
+    case 'if':
+      return renderTemplate(evaluateCondition(node.expression, scope) ? node.children : node.inverse, scope);
+      
+    case 'unless':
+      return renderTemplate(evaluateCondition(node.expression, scope) ? node.inverse : node.children, scope);
+      
+    case 'each': {
+      const items = evaluateExpression(node.expression, scope)
+        .split(/[,\n]/)
+        .map(item => item.trim())
+        .filter(Boolean);
+      
+      if (items.length === 0) {
+        return renderTemplate(node.inverse, scope);
+      }
+      
+      return items.map((item, index) => renderTemplate(node.children, {
+        ...scope,
+        locals: {
+          ...scope.locals,
+          this: item,
+          '@index': String(index),
+          '@number': String(index + 1),
+          '@first': index === 0 ? 'yes' : 'no',
+          '@last': index === items.length - 1 ? 'yes' : 'no'
+        }
+      })).join('');
+    }
+  }
+}
+
+// Look up a variable's raw value, or undefined when it is unknown
+function evaluateVariable(parsed, scope) {
+  if (Object.prototype.hasOwnProperty.call(scope.locals, parsed.name)) {
+    return scope.locals[parsed.name];
+  }
+  if (parsed.name === 'snippet') {
+    return renderSnippet(parsed.argument, scope);
+  }
+  if (!Object.prototype.hasOwnProperty.call(scope.variables, parsed.name)) {
+    return undefined;
+  }
+  
+  const variable = scope.variables[parsed.name];
+  if (typeof variable !== 'function' && (parsed.argument !== null || parsed.offsets.length > 0)) {
+    return undefined;
+  }
+  
+  return typeof variable === 'function' ? variable(parsed) : variable;
+}
+
+// Evaluate a block's expression to a string; unknown variables are empty
+function evaluateExpression(expression, scope) {
+  const parsed = parseVariableExpression(expression);
+  
+  try {
+    const value = evaluateVariable(parsed, scope);
+    return value === undefined ? '' : applyVariableFilters(value, parsed.filters);
+  } catch (error) {
+    if (error instanceof VariableResolutionError) throw error;
+    console.warn(`PromptExpander: ${error.message} in {{${expression}}}`);
+    return '';
+  }
+}
+
+// Evaluate an #if/#unless condition: a value, or a comparison against a
+// quoted string or another variable
+function evaluateCondition(expression, scope) {
+  const comparison = expression.match(/^([\s\S]+?)\s*(==|!=)\s*("(?:[^"\\]|\\.)*"|[^\s"]+)$/);
+  
+  if (comparison) {
+    const [, left, operator, right] = comparison;
+    const leftValue = evaluateExpression(left, scope).trim();
+    const rightValue = right.startsWith('"') ? unquoteArgument(right) : evaluateExpression(right, scope).trim();
+    return operator === '==' ? leftValue === rightValue : leftValue !== rightValue;
+  }
+  
+  return !TEMPLATE_FALSE_VALUES.includes(evaluateExpression(expression, scope).trim().toLowerCase());
+}
+
+// Render a {{snippet:key}} reference, guarding against cycles and runaway
+// nesting
+function renderSnippet(argument, scope) {
+  const key = (argument || '').trim();
+  const { path } = scope;
+  
+  if (path.includes(key)) {
+    throw new VariableResolutionError(`Snippet reference cycle: ${[...path.slice(path.indexOf(key)), key].join(' → ')}`);
+  }
+  if (path.length > MAX_SNIPPET_DEPTH) {
+    throw new VariableResolutionError(`Snippet references are nested more than ${MAX_SNIPPET_DEPTH} levels deep`);
+  }
+  
+  const snippet = scope.snippets[key];
+  if (!snippet) {
+    const from = path.length > 0 ? ` (referenced from "${path[path.length - 1]}")` : '';
+    throw new VariableResolutionError(`Unknown snippet "${key}"${from}`);
+  }
+  
+  return renderSource(snippet.content, `snippet "${key}"`, {
+    ...scope,
+    format: snippet.format || 'text',
+    path: [...path, key]
+  });
+}
+
+// A leading [template:a+b] marker wraps the rest of the text in templates;
+// the first one listed is the outermost
+const TEMPLATE_MARKER = /^\s*\[template:([\w-]+(?:\+[\w-]+)*)\]/;
+
+// Render snippet text, applying a leading [template:...] marker
+function renderSource(text, source, scope) {
+  const marker = (text || '').match(TEMPLATE_MARKER);
+  
+  if (!marker) {
+    return renderTemplate(parseTemplateSource(text, source), scope);
+  }
+  
+  const content = renderTemplate(parseTemplateSource(text.slice(marker[0].length), source), scope);
+  return applyTemplates(marker[1].split('+'), content, scope);
+}
+
+// Wrap rendered content in each template's {{content}} slot, innermost first
+function applyTemplates(keys, content, scope) {
+  return [...keys].reverse().reduce((wrapped, key) => {
+    const template = scope.templates[key];
+    if (!template) {
+      throw new VariableResolutionError(`Unknown template "${key}"`);
+    }
+    
+    // Template variables only fill names nothing else defines
+    const locals = {};
+    Object.entries(template.variables || {}).forEach(([name, value]) => {
+      if (!Object.prototype.hasOwnProperty.call(scope.variables, name)) {
+        locals[name] = renderTemplate(parseTemplateSource(String(value), `template "${key}"`), { ...scope, format: 'text' });
+      }
+    });
+    
+    return renderTemplate(parseTemplateSource(template.body, `template "${key}"`), {
+      ...scope,
+      locals: { ...scope.locals, ...locals, content: wrapped }
+    });
+  }, content);
+}
+
+// Form data key for a field label: "Include sources" -> include_sources
+function getFieldKey(label) {
+  return String(label).trim().toLowerCase().replace(/\W+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// Build a fill-in variable ({{input:Audience}}, {{select:Tone|a,b}}, ...)
+// that reads the value collected by the content script's form
+function createFieldVariable(formData) {
+  return ({ name, argument }) => {
+    const key = getFieldKey(argument || '');
+    if (!Object.prototype.hasOwnProperty.call(formData, key)) {
+      throw new Error(`No value for ${name} field "${argument}"`);
+    }
+    return formData[key];
+  };
+}
+
+// {{page_meta:description}} reads one <meta> tag of the page; without a
+// name, every tag is listed as "name: content"
+function createPageMetaVariable(metadata) {
+  return ({ argument }) => {
+    if (argument === null) {
+      return Object.entries(metadata).map(([name, content]) => `${name}: ${content}`).join('\n');
+    }
+    return metadata[argument.trim().toLowerCase()] || '';
+  };
+}
+
+// {{clipboard}} is the current clipboard; {{clipboard:1}}, {{clipboard:2}}…
+// are entries of the clipboard history, most recent first
+function createClipboardVariable(context) {
+  return ({ argument }) => {
+    if (argument === null) return context.clipboard || '';
+    
+    const index = Number(argument.trim());
+    if (!Number.isInteger(index) || index < 1) {
+      throw new Error(`Invalid clipboard history entry "${argument}"`);
+    }
+    return (context.clipboardHistory || [])[index - 1] || '';
+  };
+}
+
+// {{session:project}} reads a value kept for the current site
+function createSessionVariable(values) {
+  return ({ argument }) => {
+    if (argument === null) {
+      throw new Error('Name the session value, e.g. {{session:project}}');
+    }
+    return values[getFieldKey(argument)] || '';
+  };
+}
+
+// {{set:project=Apollo}} keeps a value for the current site and inserts
+// nothing. Later {{session:project}} references see it straight away; the
+// changes are collected so the caller can store them.
+function createSetVariable(values, changes) {
+  return ({ argument }) => {
+    const match = (argument || '').match(/^([^=]+)=([\s\S]*)$/);
+    const key = match ? getFieldKey(match[1]) : '';
+    if (!key) {
+      throw new Error(`Use {{set:name=value}}, not "{{set:${argument || ''}}}"`);
+    }
+    
+    values[key] = match[2].trim();
+    changes[key] = values[key];
+    return '';
+  };
+}
+
+// {{selected_markdown}} is the selection converted to Markdown;
+// {{selected_markdown:source}} adds the page it came from
+function createSelectedMarkdownVariable(context) {
+  return ({ argument }) => {
+    const markdown = context.selectedMarkdown || '';
+    if (argument === null) return markdown;
+    if (argument.trim() !== 'source') {
+      throw new Error(`Unknown selected_markdown option "${argument}"`);
+    }
+    if (!markdown || !context.pageUrl) return markdown;
+    
+    const title = (context.pageTitle || context.pageUrl).replace(/[[\]]/g, '\\$&');
+    return `${markdown}\n\nSource: [${title}](${context.pageUrl.replace(/\(/g, '%28').replace(/\)/g, '%29')})`;
+  };
+}
+
 // Variable resolution system
-function resolveVariables(text, context = {}) {
+function resolveVariables(text, context = {}, options = {}) {
   const now = new Date();
+  const fieldVariable = createFieldVariable(context.formData || {});
+  const session = { ...context.session };
   
+  // Values are strings, or functions for variables that take an argument or
+  // offset; a string variable used with either is left unresolved
   const variables = {
-    date: now.toLocaleDateString(),
-    time: now.toLocaleTimeString(),
-    datetime: now.toLocaleString(),
+    date: createDateVariable(now, options, { year: 'numeric', month: 'numeric', day: 'numeric' }),
+    time: createDateVariable(now, options, { hour: 'numeric', minute: '2-digit', second: '2-digit' }),
+    datetime: createDateVariable(now, options, {
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit', second: '2-digit'
+    }),
+    week: ({ offsets }) => {
+      const parts = getDateParts(applyDateOffsets(now, offsets), options);
+      return String(parts.isoWeek);
+    },
     page_title: context.pageTitle || '',
     page_url: context.pageUrl || '',
     selected_text: context.selectedText || '',
-    clipboard: context.clipboard || '',
+    selected_markdown: createSelectedMarkdownVariable(context),
+    clipboard: createClipboardVariable(context),
     domain: context.domain || '',
-    ...context.formData
+    page_content: context.pageContent || '',
+    page_meta: createPageMetaVariable(context.pageMeta || {}),
+    page_headings: context.pageHeadings || '',
+    page_links: context.pageLinks || '',
+    session: createSessionVariable(session),
+    set: createSetVariable(session, options.sessionChanges || {}),
+    ...context.formData,
+    input: fieldVariable,
+    textarea: fieldVariable,
+    select: fieldVariable,
+    checkbox: fieldVariable
   };
   
-  // Multi-stage variable resolution
-  let resolved = text;
-  let iterations = 0;
-  const maxIterations = 10;
+  // Text to wrap that must not itself be treated as a template, e.g. the
+  // contents of a field, is passed in as {{content}}
+  if (context.content !== undefined) {
+    variables.content = context.content;
+  }
   
-  while (resolved.includes('{{') && iterations < maxIterations) {
-    const previousResolved = resolved;
-    
-    Object.keys(variables).forEach(key => {
-      const regex = new RegExp(`\\{\\{${key}\\}\\}`, 'g');
-      resolved = resolved.replace(regex, variables[key] || '');
+  // References in the snippet being expanded count it as their parent
+  const scope = {
+    variables: variables,
+    locals: {},
+    snippets: options.snippets || {},
+    templates: options.templates || {},
+    format: (context.snippetKey && (options.snippets || {})[context.snippetKey]?.format) || 'text',
+    path: context.snippetKey ? [context.snippetKey] : []
+  };
+  
+  return renderSource(text, context.snippetKey ? `snippet "${context.snippetKey}"` : '', scope);
+}
+
+// Read the settings that affect variable resolution
+async function getResolverOptions() {
+  const settings = await storage.get(['dateLocale', 'timeZone', 'snippets', 'templates']);
+  return {
+    locale: settings.dateLocale || '',
+    timeZone: settings.timeZone || '',
+    snippets: settings.snippets || {},
+    templates: settings.templates || {}
+  };
+}
+
+// Pick the vocabulary chosen in the settings; "auto" uses the default model
+// of the AI platform the text is going to
+async function getEncoding(url) {
+  const settings = await storage.get(['tokenizer', 'aiPlatforms']);
+  const encoding = settings.tokenizer || 'auto';
+  if (encoding !== 'auto') return encoding;
+  
+  const platform = url && PromptExpanderPlatforms.findPlatform(PromptExpanderPlatforms.getPlatforms(settings.aiPlatforms), url);
+  return PromptExpanderTokenizer.getEncodingForModel(platform && platform.defaultModel);
+}
+
+async function countTokens(text, url) {
+  return PromptExpanderTokenizer.countTokens(text, await getEncoding(url));
+}
+
+// Read-modify-write updates of a local storage key run one after another,
+// so quick successive updates, or updates from two tabs, are not lost
+const localUpdateQueues = {};
+
+function queueLocalUpdate(key, update) {
+  const queued = (localUpdateQueues[key] || Promise.resolve()).then(update);
+  localUpdateQueues[key] = queued.catch(() => {});
+  return queued;
+}
+
+// Clipboard history: text copied on pages, most recent first, kept in local
+// storage only while the user has it turned on
+const CLIPBOARD_HISTORY_KEY = 'clipboardHistory';
+const MAX_CLIPBOARD_ENTRY_LENGTH = 100000;
+const CLIPBOARD_HISTORY_SETTINGS = ['clipboardHistoryEnabled', 'clipboardHistorySize', 'clipboardHistoryDays'];
+
+// Drop entries beyond the size and age limits
+function pruneClipboardHistory(entries, settings) {
+  const days = settings.clipboardHistoryDays || DEFAULT_SETTINGS.clipboardHistoryDays;
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  return entries
+    .filter(entry => entry.time >= cutoff)
+    .slice(0, settings.clipboardHistorySize || DEFAULT_SETTINGS.clipboardHistorySize);
+}
+
+async function getClipboardHistory() {
+  const settings = await storage.get(CLIPBOARD_HISTORY_SETTINGS);
+  if (!settings.clipboardHistoryEnabled) return [];
+  
+  const stored = await chrome.storage.local.get(CLIPBOARD_HISTORY_KEY);
+  return pruneClipboardHistory(stored[CLIPBOARD_HISTORY_KEY] || [], settings);
+}
+
+// Add a copy to the front of the history; copying the same text again
+// moves it there
+async function recordClipboard(text, domain) {
+  const settings = await storage.get(CLIPBOARD_HISTORY_SETTINGS);
+  if (!settings.clipboardHistoryEnabled || !text || !text.trim() || text.length > MAX_CLIPBOARD_ENTRY_LENGTH) return;
+  
+  const time = Date.now();
+  await queueLocalUpdate(CLIPBOARD_HISTORY_KEY, async () => {
+    const stored = await chrome.storage.local.get(CLIPBOARD_HISTORY_KEY);
+    const entries = (stored[CLIPBOARD_HISTORY_KEY] || []).filter(entry => entry.text !== text);
+    entries.unshift({ text: text, domain: domain, time: time });
+    await chrome.storage.local.set({ [CLIPBOARD_HISTORY_KEY]: pruneClipboardHistory(entries, settings) });
+  });
+}
+
+function clearClipboardHistory() {
+  return queueLocalUpdate(CLIPBOARD_HISTORY_KEY, () => chrome.storage.local.remove(CLIPBOARD_HISTORY_KEY));
+}
+
+// Session variables: values kept per site in local storage, forgotten once
+// none has been set for the session expiry
+const SESSION_PREFIX = 'session_';
+
+function isSessionExpired(session, settings) {
+  const hours = settings.sessionExpiryHours || DEFAULT_SETTINGS.sessionExpiryHours;
+  return !session.timestamp || Date.now() - session.timestamp > hours * 60 * 60 * 1000;
+}
+
+async function getSessionData(domain) {
+  const key = `${SESSION_PREFIX}${domain}`;
+  const [stored, settings] = await Promise.all([chrome.storage.local.get(key), storage.get(['sessionExpiryHours'])]);
+  const session = stored[key];
+  if (!session) return {};
+  
+  if (isSessionExpired(session, settings)) {
+    // Drop it now instead of at the next hourly cleanup. Queued and checked
+    // again, so a value set in the meantime is kept.
+    queueLocalUpdate(key, async () => {
+      const current = (await chrome.storage.local.get(key))[key];
+      if (current && isSessionExpired(current, settings)) {
+        await chrome.storage.local.remove(key);
+      }
+    }).catch((error) => {
+      console.error('Failed to remove expired session:', error);
     });
-    
-    // Break if no changes were made
-    if (resolved === previousResolved) break;
-    iterations++;
+    return {};
   }
   
-  return resolved;
+  return session.values || {};
 }
 
-// Token counter (rough estimation)
-function estimateTokens(text) {
-  // Simple token estimation: ~4 characters per token for English
-  return Math.ceil(text.length / 4);
+// Replace a site's session values; names are normalized like form fields
+// and empty values are dropped
+function setSessionData(domain, data) {
+  return queueLocalUpdate(`${SESSION_PREFIX}${domain}`, () => writeSessionData(domain, data));
+}
+
+// Add to a site's session values
+function updateSessionData(domain, changes) {
+  return queueLocalUpdate(`${SESSION_PREFIX}${domain}`, async () => {
+    return writeSessionData(domain, { ...await getSessionData(domain), ...changes });
+  });
+}
+
+async function writeSessionData(domain, data) {
+  const key = `${SESSION_PREFIX}${domain}`;
+  const values = {};
+  Object.entries(data || {}).forEach(([name, value]) => {
+    const valueKey = getFieldKey(name);
+    if (valueKey && value !== null && value !== undefined && String(value) !== '') {
+      values[valueKey] = String(value);
+    }
+  });
+  
+  if (Object.keys(values).length === 0) {
+    await chrome.storage.local.remove(key);
+  } else {
+    await chrome.storage.local.set({ [key]: { values: values, timestamp: Date.now() } });
+  }
+  return values;
 }
 
 // Analytics tracking
-function trackUsage(snippetKey, domain) {
-  chrome.storage.sync.get(['usage', 'analyticsEnabled'], (result) => {
+function trackUsage(snippetKey, domain, tokens) {
+  queueLocalUpdate('usage', () => storage.get(['usage', 'analyticsEnabled']).then((result) => {
     if (!result.analyticsEnabled) return;
     
     const usage = result.usage || {};
@@ -201,28 +1555,46 @@ function trackUsage(snippetKey, domain) {
     }
     
     if (!usage[today][snippetKey]) {
-      usage[today][snippetKey] = { count: 0, domains: new Set() };
+      usage[today][snippetKey] = { count: 0, domains: [] };
     }
     
     usage[today][snippetKey].count++;
-    usage[today][snippetKey].domains.add(domain);
+    if (tokens) {
+      usage[today][snippetKey].tokens = (usage[today][snippetKey].tokens || 0) + tokens;
+    }
     
-    // Convert Set to Array for storage
-    usage[today][snippetKey].domains = Array.from(usage[today][snippetKey].domains);
+    // Domains are stored as an array, so dedupe by hand
+    const domains = usage[today][snippetKey].domains || [];
+    if (domain && !domains.includes(domain)) {
+      domains.push(domain);
+    }
+    usage[today][snippetKey].domains = domains;
     
-    chrome.storage.sync.set({ usage });
+    return storage.set({ usage });
+  })).catch((error) => {
+    console.error('Failed to track usage:', error);
   });
 }
 
 // Listen for messages from content scripts and popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('Background received message:', message);
+  // Messages carry page text and clipboard contents, so log the type only
+  console.log('Background received message:', message.type);
   
   switch (message.type) {
     case 'RESOLVE_VARIABLES':
-      const resolved = resolveVariables(message.text, message.context);
-      sendResponse({ resolved, tokens: estimateTokens(resolved) });
-      break;
+      getResolverOptions().then(async (options) => {
+        // {{set:...}} values go back to the caller, which keeps them once
+        // the expansion is actually inserted
+        const sessionChanges = {};
+        const resolved = resolveVariables(message.text, message.context, { ...options, sessionChanges });
+        const tokens = await countTokens(resolved, sender.tab && sender.tab.url);
+        sendResponse({ resolved, tokens: tokens.count, tokensExact: tokens.exact, sessionChanges });
+      }).catch((error) => {
+        console.error('Variable resolution failed:', error);
+        sendResponse({ error: error.message });
+      });
+      return true;
       
     case 'GET_CLIPBOARD':
       // Note: clipboard access requires user interaction in content script
@@ -233,54 +1605,135 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
       return true;
       
+    case 'COUNT_TOKENS':
+      countTokens(message.text, sender.tab && sender.tab.url).then(sendResponse).catch((error) => {
+        console.error('Token count failed:', error);
+        sendResponse(null);
+      });
+      return true;
+      
+    case 'TRUNCATE_TOKENS':
+      getEncoding(sender.tab && sender.tab.url).then((encoding) => {
+        return PromptExpanderTokenizer.truncateTokens(message.text, message.maxTokens, message.mode, encoding);
+      }).then(sendResponse).catch((error) => {
+        console.error('Truncation failed:', error);
+        sendResponse(null);
+      });
+      return true;
+      
+    case 'RECORD_CLIPBOARD':
+      recordClipboard(message.text, message.domain).catch((error) => {
+        console.error('Failed to record clipboard:', error);
+      });
+      break;
+    
+    case 'GET_CLIPBOARD_HISTORY':
+      getClipboardHistory().then(sendResponse).catch((error) => {
+        console.error('Clipboard history read failed:', error);
+        sendResponse([]);
+      });
+      return true;
+    
+    case 'CLEAR_CLIPBOARD_HISTORY':
+      clearClipboardHistory().then(() => {
+        sendResponse({ success: true });
+      }).catch((error) => {
+        console.error('Clipboard history clear failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+      return true;
+    
     case 'TRACK_USAGE':
-      trackUsage(message.snippetKey, message.domain);
+      trackUsage(message.snippetKey, message.domain, message.tokens);
       break;
       
     case 'GET_STORAGE':
-      chrome.storage.sync.get(message.keys, sendResponse);
+      storage.get(message.keys).then(sendResponse).catch((error) => {
+        console.error('Storage read failed:', error);
+        sendResponse(null);
+      });
       return true;
       
     case 'SET_STORAGE':
-      chrome.storage.sync.set(message.data, () => {
+      storage.set(message.data).then(() => {
         sendResponse({ success: true });
+      }).catch((error) => {
+        console.error('Storage write failed:', error);
+        sendResponse({ success: false, error: error.message });
       });
       return true;
       
     case 'GET_SESSION_DATA':
-      chrome.storage.local.get([`session_${message.domain}`], (result) => {
-        sendResponse(result[`session_${message.domain}`] || {});
+      getSessionData(message.domain).then(sendResponse).catch((error) => {
+        console.error('Session read failed:', error);
+        sendResponse({});
+      });
+      return true;
+      
+    case 'UPDATE_SESSION_DATA':
+      updateSessionData(message.domain, message.changes).then((values) => {
+        sendResponse({ success: true, data: values });
+      }).catch((error) => {
+        console.error('Session write failed:', error);
+        sendResponse({ success: false, error: error.message });
       });
       return true;
       
     case 'SET_SESSION_DATA':
-      chrome.storage.local.set({
-        [`session_${message.domain}`]: message.data
-      }, () => {
-        sendResponse({ success: true });
+      setSessionData(message.domain, message.data).then((values) => {
+        sendResponse({ success: true, data: values });
+      }).catch((error) => {
+        console.error('Session write failed:', error);
+        sendResponse({ success: false, error: error.message });
       });
       return true;
       
     case 'EXPORT_DATA':
-      chrome.storage.sync.get(null, (data) => {
+      storage.get(null).then((data) => {
         sendResponse({
           data: JSON.stringify(data, null, 2),
           filename: `promptexpander_backup_${new Date().toISOString().split('T')[0]}.json`
         });
+      }).catch((error) => {
+        sendResponse({ success: false, error: error.message });
       });
       return true;
       
     case 'IMPORT_DATA':
       try {
-        const importedData = JSON.parse(message.data);
-        chrome.storage.sync.set(importedData, () => {
+        // Backups from older versions are brought up to the current schema
+        const importedData = applyMigrations(JSON.parse(message.data));
+        storage.set(importedData).then(() => {
           sendResponse({ success: true });
+        }).catch((error) => {
+          sendResponse({ success: false, error: error.message });
         });
       } catch (error) {
         sendResponse({ success: false, error: error.message });
       }
       return true;
       
+    case 'GET_MIGRATION_BACKUP':
+      chrome.storage.local.get([MIGRATION_BACKUP_KEY]).then((result) => {
+        const backup = result[MIGRATION_BACKUP_KEY];
+        sendResponse(backup ? {
+          schemaVersion: backup.schemaVersion,
+          extensionVersion: backup.extensionVersion,
+          timestamp: backup.timestamp
+        } : null);
+      }).catch((error) => {
+        sendResponse({ success: false, error: error.message });
+      });
+      return true;
+    
+    case 'RESTORE_MIGRATION_BACKUP':
+      restoreMigrationBackup().then((backup) => {
+        sendResponse({ success: true, schemaVersion: backup.schemaVersion });
+      }).catch((error) => {
+        sendResponse({ success: false, error: error.message });
+      });
+      return true;
+      
     default:
       console.log('Unknown message type:', message.type);
   }
@@ -288,14 +1741,46 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 // Handle storage changes
 chrome.storage.onChanged.addListener((changes, namespace) => {
-  console.log('Storage changed:', changes, 'in', namespace);
+  console.log('Storage changed:', Object.keys(changes), 'in', namespace);
+  
+  // Another device changed the library index
+  if (namespace === 'sync' && changes[INDEX_META_KEY]) {
+    reconcileLibraryIndex(changes[INDEX_META_KEY].newValue).catch((error) => {
+      console.error('Failed to reconcile library index:', error);
+    });
+  }
+  
+  // Turning the clipboard history off forgets it
+  if (changes.clipboardHistoryEnabled && changes.clipboardHistoryEnabled.newValue === false) {
+    clearClipboardHistory();
+  }
+  
+  // Only broadcast user-facing data, not index chunks, session entries or
+  // the clipboard history
+  const keys = Object.keys(changes).filter(key => {
+    return key !== INDEX_META_KEY &&
+      !key.startsWith(INDEX_CHUNK_PREFIX) &&
+      !key.startsWith(SESSION_PREFIX) &&
+      key !== CLIPBOARD_HISTORY_KEY &&
+      key !== MIGRATION_BACKUP_KEY;
+  });
+  if (keys.length === 0) return;
+  
+  if (changes.enabled || changes.siteRules) {
+    updateAllActionBadges();
+  }
+  
+  const publicChanges = {};
+  keys.forEach(key => {
+    publicChanges[key] = changes[key];
+  });
   
   // Notify all tabs about configuration changes
   chrome.tabs.query({}, (tabs) => {
     tabs.forEach((tab) => {
       chrome.tabs.sendMessage(tab.id, {
         type: 'STORAGE_CHANGED',
-        changes: changes
+        changes: publicChanges
       }).catch(() => {
         // Ignore errors for tabs without content scripts
       });
@@ -303,18 +1788,62 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
   });
 });
 
-// Cleanup old session data periodically
-chrome.alarms.create('cleanup-sessions', { delayInMinutes: 60, periodInMinutes: 1440 }); // Daily
+// Show an "off" badge on tabs where expansion is disabled, globally or by a
+// site rule
+async function updateActionBadge(tab, settings) {
+  if (!tab || !tab.id) return;
+  
+  const enabled = PromptExpanderSiteRules.isEnabledFor(settings, tab.url || '');
+  await chrome.action.setBadgeText({ tabId: tab.id, text: enabled ? '' : 'OFF' });
+  await chrome.action.setTitle({
+    tabId: tab.id,
+    title: enabled
+      ? 'PromptExpander'
+      : `PromptExpander (disabled${settings.enabled === false ? '' : ' on this site'})`
+  });
+}
 
-chrome.alarms.onAlarm.addListener((alarm) => {
+async function updateAllActionBadges() {
+  const settings = await storage.get(['enabled', 'siteRules']);
+  const tabs = await chrome.tabs.query({});
+  await Promise.all(tabs.map(tab => updateActionBadge(tab, settings).catch(() => {})));
+}
+
+chrome.action.setBadgeBackgroundColor({ color: '#6b7280' });
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (!changeInfo.url && changeInfo.status !== 'complete') return;
+  
+  storage.get(['enabled', 'siteRules'])
+    .then(settings => updateActionBadge(tab, settings))
+    .catch(() => {
+      // The tab may have closed meanwhile
+    });
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  updateAllActionBadges();
+});
+
+// Cleanup old session data periodically. Hourly, since session expiry is
+// set in hours; reads also drop the expired session they find. The alarm
+// outlives the service worker, so only create it when it is missing;
+// creating it again would push the first run back on every restart.
+chrome.alarms.get('cleanup-sessions', (alarm) => {
+  if (!alarm) {
+    chrome.alarms.create('cleanup-sessions', { delayInMinutes: 60, periodInMinutes: 60 });
+  }
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === 'cleanup-sessions') {
-    const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
+    const settings = await storage.get(['sessionExpiryHours']);
     
     chrome.storage.local.get(null, (items) => {
       const keysToRemove = [];
       
       Object.keys(items).forEach(key => {
-        if (key.startsWith('session_') && items[key].timestamp < oneDayAgo) {
+        if (key.startsWith(SESSION_PREFIX) && isSessionExpired(items[key], settings)) {
           keysToRemove.push(key);
         }
       });
@@ -324,5 +1853,13 @@ chrome.alarms.onAlarm.addListener((alarm) => {
         console.log('Cleaned up', keysToRemove.length, 'old session entries');
       }
     });
+    
+    // Copies past the age limit are dropped too
+    queueLocalUpdate(CLIPBOARD_HISTORY_KEY, async () => {
+      const entries = await getClipboardHistory();
+      await chrome.storage.local.set({ [CLIPBOARD_HISTORY_KEY]: entries });
+    }).catch((error) => {
+      console.error('Failed to prune clipboard history:', error);
+    });
   }
 });
\ No newline at end of file
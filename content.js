@@ -17,26 +17,114 @@
     snippets: {},
     templates: {},
     excludedSelectors: [],
-    triggerPrefix: ':',
-    sessionStorage: {}
+    siteRules: [],
+    aiPlatforms: [],
+    contextLimits: {},
+    tokenMeterEnabled: true,
+    pageContentTokenLimit: 4000,
+    clipboardHistoryEnabled: false,
+    triggerPrefix: ':'
   };
 
-  let expansionHistory = [];
+  // Settings the content script keeps in step with storage
+  const CONFIG_KEYS = [
+    'enabled', 'snippets', 'templates', 'excludedSelectors', 'siteRules',
+    'aiPlatforms', 'contextLimits', 'tokenMeterEnabled', 'pageContentTokenLimit', 'clipboardHistoryEnabled',
+    'triggerPrefix'
+  ];
+
+  // Context values that are costly or intrusive to read are only read when
+  // the text being resolved uses them; capped ones are cut at the page
+  // content limit. Previews use the preview reader when there is one.
+  const LAZY_VARIABLES = [
+    {
+      key: 'clipboard',
+      pattern: /\{\{[^{}]*\bclipboard\b(?!\s*:)/,
+      read: readClipboard,
+      preview: previewClipboard
+    },
+    {
+      key: 'clipboardHistory',
+      pattern: /\{\{[^{}]*\bclipboard\s*:/,
+      read: async () => (await loadClipboardHistory()).map(entry => entry.text)
+    },
+    {
+      key: 'pageContent',
+      pattern: /\{\{[^{}]*\bpage_content\b/,
+      read: () => PromptExpanderPageContent.getMainContent(),
+      capped: true
+    },
+    {
+      key: 'pageMeta',
+      pattern: /\{\{[^{}]*\bpage_meta\b/,
+      read: () => PromptExpanderPageContent.getMetadata()
+    },
+    {
+      key: 'pageHeadings',
+      pattern: /\{\{[^{}]*\bpage_headings\b/,
+      read: () => PromptExpanderPageContent.getHeadings(),
+      capped: true
+    },
+    {
+      key: 'pageLinks',
+      pattern: /\{\{[^{}]*\bpage_links\b/,
+      read: () => PromptExpanderPageContent.getLinks(),
+      capped: true
+    },
+    {
+      key: 'selectedMarkdown',
+      pattern: /\{\{[^{}]*\bselected_markdown\b/,
+      read: () => PromptExpanderPageContent.getSelectionMarkdown()
+    },
+    {
+      key: 'session',
+      pattern: /\{\{[^{}]*\bsession\s*:/,
+      read: loadSessionData
+    }
+  ];
+
+  // Variables whose values can be cut down when an expansion is over the
+  // token budget
+  const TRUNCATABLE_VARIABLES = [
+    { key: 'clipboard', label: '{{clipboard}}' },
+    { key: 'selectedText', label: '{{selected_text}}' },
+    { key: 'selectedMarkdown', label: '{{selected_markdown}}' },
+    { key: 'pageContent', label: '{{page_content}}' }
+  ];
+  const MAX_TRUNCATION_PASSES = 3;
+
+  // Token meter beside the prompt box of a recognized AI platform
+  const TOKEN_METER_DELAY = 300;
+  const TOKEN_METER_WARNING = 0.8;
+  let tokenMeter = null;
+
+  // Undo and redo stacks of expansions, per element
+  const MAX_UNDO_LEVELS = 50;
+  const UNDO_NOTIFICATION_DURATION = 6000;
+  const expansionHistory = new WeakMap();
+  let lastExpandedElement = null;
   let currentElement = null;
   let isProcessing = false;
   let debounceTimer = null;
+  let lastFocusedElement = null;
+  let quickMenu = null;
+  let tabStopSession = null;
 
   // Load configuration
   loadConfig();
+  setupConfigListener();
 
-  // Main initialization
+  // Main initialization. Listeners are always installed; whether expansion
+  // runs is checked as events arrive, so site rules and the global switch
+  // apply live.
   function initializePromptExpander() {
-    if (!config.enabled) return;
-    
     setupTextExpansion();
-    setupKeyboardShortcuts();
+    setupExpansionHistory();
+    setupTabStops();
     setupQuickMenu();
-    loadSessionData();
+    setupClipboardHistory();
+    setupTokenMeter();
+    setupMessageListener();
     
     console.log('PromptExpander initialized');
   }
@@ -45,17 +133,50 @@
   function loadConfig() {
     chrome.runtime.sendMessage({
       type: 'GET_STORAGE',
-      keys: ['enabled', 'snippets', 'templates', 'excludedSelectors', 'triggerPrefix']
+      keys: CONFIG_KEYS
     }, (response) => {
       if (response) {
         config = { ...config, ...response };
-        if (config.enabled) {
-          initializePromptExpander();
+        initializePromptExpander();
+      }
+    });
+  }
+
+  // Apply settings changed elsewhere (popup, options, other devices)
+  function setupConfigListener() {
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.type !== 'STORAGE_CHANGED') return;
+      
+      CONFIG_KEYS.forEach(key => {
+        const change = message.changes[key];
+        if (change && change.newValue !== undefined) {
+          config[key] = change.newValue;
         }
+      });
+      
+      if (!isExpansionEnabled()) {
+        closeQuickMenu();
+        endTabStops();
+      }
+      
+      if (!isExpansionEnabled() || !config.tokenMeterEnabled) {
+        removeTokenMeter();
+      } else if (tokenMeter) {
+        updateTokenMeter();
       }
     });
   }
 
+  // Whether expansion runs on this page: the global switch and site rules
+  function isExpansionEnabled() {
+    return PromptExpanderSiteRules.isEnabledFor(config, window.location.href);
+  }
+
+  // The AI platform serving this page, with the user's overrides applied
+  function getPagePlatform() {
+    return PromptExpanderPlatforms.findPlatform(PromptExpanderPlatforms.getPlatforms(config.aiPlatforms), window.location.href);
+  }
+
   // Setup text expansion listeners
   function setupTextExpansion() {
     // Debounced input listener
@@ -81,7 +202,7 @@
 
   // Check if element should be processed
   function shouldProcessElement(element) {
-    if (!element || isProcessing) return false;
+    if (!element || isProcessing || !isExpansionEnabled()) return false;
     
     // Skip non-editable elements
     if (!isEditableElement(element)) return false;
@@ -115,15 +236,11 @@
 
   // Handle text input for trigger detection
   function handleTextInput(element) {
-    const cursorPos = element.selectionStart;
-    const text = element.value || element.textContent || '';
-    
     // Look for trigger patterns
-    const beforeCursor = text.substring(0, cursorPos);
-    const triggerMatch = beforeCursor.match(new RegExp(`${escapeRegex(config.triggerPrefix)}([\\w\\d_-]+)$`));
+    const triggerMatch = getTriggerMatch(element);
     
     if (triggerMatch) {
-      const trigger = triggerMatch[1];
+      const trigger = triggerMatch.trigger;
       
       // Check for form trigger
       if (trigger === 'form') {
@@ -132,7 +249,7 @@
       }
       
       // Check for snippet trigger
-      if (config.snippets[trigger]) {
+      if (findSnippetKey(trigger)) {
         // Don't auto-expand, wait for space/tab/enter
         currentElement = element;
       }
@@ -142,385 +259,2118 @@
   // Handle trigger key presses
   function handleTriggerKey(e) {
     const element = e.target;
-    const cursorPos = element.selectionStart;
-    const text = element.value || element.textContent || '';
-    const beforeCursor = text.substring(0, cursorPos);
     
     // Check for trigger at cursor position
-    const triggerMatch = beforeCursor.match(new RegExp(`${escapeRegex(config.triggerPrefix)}([\\w\\d_-]+)$`));
+    const match = getTriggerMatch(element);
     
-    if (triggerMatch) {
+    if (!match) return;
+    
+    const { trigger, start, end } = match;
+    
+    if (trigger === 'form') {
+      // Remove trigger and show form modal
       e.preventDefault();
-      const trigger = triggerMatch[1];
-      const triggerStart = cursorPos - triggerMatch[0].length;
-      
-      if (trigger === 'form') {
-        // Remove trigger and show form modal
-        replaceText(element, triggerStart, cursorPos, '');
-        showFormModal(element);
-      } else if (config.snippets[trigger]) {
-        expandSnippet(element, trigger, triggerStart, cursorPos);
-      }
+      PromptExpanderEditors.replaceRange(element, start, end, '').then(() => showFormModal(element)).catch((error) => {
+        console.error('PromptExpander: Form trigger failed:', error);
+        showNotification(`Could not open the form: ${error.message}`, 'error');
+      });
+      return;
+    }
+    
+    // The snippet for this trigger that applies to the current page
+    const key = findSnippetKey(trigger);
+    if (key) {
+      e.preventDefault();
+      expandSnippet(element, key, start, end);
     }
   }
 
-  // Expand snippet
-  async function expandSnippet(element, trigger, startPos, endPos) {
-    isProcessing = true;
-    
-    const snippet = config.snippets[trigger];
-    let content = snippet.content;
+  // Find the snippet a trigger expands to on this page: the most specific
+  // one whose domain or platform scopes apply
+  function findSnippetKey(trigger) {
+    return getPageSnippets()[trigger] || null;
+  }
+
+  // Map each trigger available on this page to its snippet key
+  function getPageSnippets() {
+    const platform = getPagePlatform();
+    return PromptExpanderSiteRules.getSnippetsForUrl(config.snippets, window.location.href, platform && platform.id);
+  }
+
+  // Trigger of a snippet as typed, e.g. ":sys"
+  function getSnippetLabel(key) {
+    return `${config.triggerPrefix}${PromptExpanderSiteRules.getSnippetTrigger(key, config.snippets[key])}`;
+  }
+
+  // Find a trigger typed immediately before the cursor
+  function getTriggerMatch(element) {
+    const cursorPos = PromptExpanderEditors.getSelection(element).end;
+    const text = PromptExpanderEditors.getText(element);
+    const beforeCursor = text.substring(0, cursorPos);
+    const triggerMatch = beforeCursor.match(new RegExp(`${escapeRegex(config.triggerPrefix)}([\\w\\d_-]+)$`));
     
-    // Get context for variable resolution
-    const context = await getExpansionContext(element);
+    if (!triggerMatch) return null;
     
-    // Resolve variables
-    const response = await chrome.runtime.sendMessage({
-      type: 'RESOLVE_VARIABLES',
-      text: content,
-      context: context
-    });
+    return {
+      trigger: triggerMatch[1],
+      start: cursorPos - triggerMatch[0].length,
+      end: cursorPos
+    };
+  }
+
+  // Expand snippet
+  async function expandSnippet(element, key, startPos, endPos) {
+    const label = getSnippetLabel(key);
+    isProcessing = true;
     
-    if (response) {
-      content = response.resolved;
-      
-      // Apply template wrapping if needed
-      content = applyTemplateWrapping(content, context);
-      
-      // Store expansion history
-      const originalText = element.value || element.textContent || '';
-      expansionHistory.push({
-        element: element,
-        originalText: originalText,
-        trigger: trigger,
-        startPos: startPos,
-        endPos: endPos,
-        expandedContent: content,
-        timestamp: Date.now()
-      });
+    try {
+      const response = await enforceTokenBudget(await resolveSnippet(key, element), label);
+      const rendered = renderExpansion(response.resolved, config.snippets[key].format, element);
       
       // Replace trigger with expanded content
-      replaceText(element, startPos, endPos, content);
+      await insertExpansion(element, startPos, endPos, rendered, label);
+      saveSessionChanges(response);
       
       // Track usage
       chrome.runtime.sendMessage({
         type: 'TRACK_USAGE',
-        snippetKey: trigger,
-        domain: window.location.hostname
+        snippetKey: key,
+        domain: window.location.hostname,
+        tokens: response.tokens
       });
       
-      // Show token count if significant
-      if (response.tokens > 100) {
-        showNotification(`Expanded to ~${response.tokens} tokens`, 'info');
+      // Offer undo, noting a truncation or a significant token count
+      let detail = '';
+      if (response.truncated) {
+        detail = ` (${response.truncated} truncated, ${formatTokens(response.tokens, response.tokensExact)})`;
+      } else if (response.tokens > 100) {
+        detail = ` (${formatTokens(response.tokens, response.tokensExact)})`;
       }
+      showUndoNotification(element, `Expanded ${label}${detail}`);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('PromptExpander: Expansion failed:', error);
+      showNotification(`Could not expand ${label}: ${error.message}`, 'error');
+    } finally {
+      isProcessing = false;
     }
-    
-    isProcessing = false;
   }
 
-  // Get context for variable resolution
-  async function getExpansionContext(element) {
-    const context = {
-      pageTitle: document.title,
-      pageUrl: window.location.href,
-      domain: window.location.hostname,
-      selectedText: window.getSelection().toString(),
-      formData: {}
-    };
-    
-    // Try to get clipboard content
-    try {
-      const clipboardText = await navigator.clipboard.readText();
-      context.clipboard = clipboardText;
-    } catch (e) {
-      context.clipboard = '';
-    }
+  // Token budget for one expansion on this page: the platform's own
+  // budget, or its model's context window. Null off AI platforms.
+  function getTokenBudget() {
+    const platform = getPagePlatform();
+    if (!platform) return null;
     
-    return context;
+    return platform.tokenBudget || PromptExpanderPlatforms.getContextLimit(platform.defaultModel, config.contextLimits);
   }
 
-  // Apply template wrapping
-  function applyTemplateWrapping(content, context) {
-    // Check if content references a template
-    const templateMatch = content.match(/^\[template:(\w+)\](.*)/s);
-    if (templateMatch) {
-      const templateName = templateMatch[1];
-      const templateContent = templateMatch[2];
-      const template = config.templates[templateName];
-      
-      if (template) {
-        return `${template.pre}${templateContent}${template.post}`;
-      }
-    }
+  // Check a resolved expansion against the token budget. When it is over,
+  // the user inserts it anyway, truncates one of its variables to fit, or
+  // cancels (an AbortError). Returns the response to insert.
+  async function enforceTokenBudget(response, label) {
+    const budget = getTokenBudget();
+    if (!budget || response.tokens <= budget) return response;
     
-    return content;
-  }
-
-  // Replace text in element
-  function replaceText(element, startPos, endPos, newText) {
-    if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
-      const text = element.value;
-      element.value = text.substring(0, startPos) + newText + text.substring(endPos);
-      element.selectionStart = element.selectionEnd = startPos + newText.length;
-      
-      // Trigger input event
-      element.dispatchEvent(new Event('input', { bubbles: true }));
-    } else if (element.contentEditable === 'true' || element.isContentEditable) {
-      // Handle contenteditable elements
-      const selection = window.getSelection();
-      const range = document.createRange();
-      
-      // Find text node and position
-      const textNode = findTextNode(element, startPos);
-      if (textNode) {
-        range.setStart(textNode, startPos);
-        range.setEnd(textNode, endPos);
-        selection.removeAllRanges();
-        selection.addRange(range);
-        
-        document.execCommand('insertText', false, newText);
+    // Only variables whose values made it into the expansion can help
+    const { context } = response.request;
+    const candidates = [];
+    for (const variable of TRUNCATABLE_VARIABLES) {
+      const value = context[variable.key];
+      if (value && response.resolved.includes(value)) {
+        const counted = await chrome.runtime.sendMessage({ type: 'COUNT_TOKENS', text: value });
+        candidates.push({ ...variable, tokens: counted ? counted.count : 0 });
       }
     }
+    
+    const choice = await promptForBudget(label, response, budget, candidates);
+    if (choice.action === 'insert') return response;
+    
+    return truncateVariable(response, budget, choice.variable, choice.mode);
   }
 
-  // Find text node at position
-  function findTextNode(element, position) {
-    const walker = document.createTreeWalker(
-      element,
-      NodeFilter.SHOW_TEXT,
-      null,
-      false
-    );
+  // Cut one variable down until the expansion fits. A variable used more
+  // than once needs more than one pass.
+  async function truncateVariable(response, budget, variable, mode) {
+    const { text, context } = response.request;
+    let value = context[variable.key];
+    let current = response;
     
-    let currentPos = 0;
-    let node;
-    
-    while (node = walker.nextNode()) {
-      const nodeLength = node.textContent.length;
-      if (currentPos + nodeLength >= position) {
-        return node;
+    for (let pass = 0; pass < MAX_TRUNCATION_PASSES && current.tokens > budget; pass++) {
+      const counted = await chrome.runtime.sendMessage({ type: 'COUNT_TOKENS', text: value });
+      if (!counted) {
+        throw new Error(`Could not count the tokens in ${variable.label}`);
+      }
+      
+      const truncated = await chrome.runtime.sendMessage({
+        type: 'TRUNCATE_TOKENS',
+        text: value,
+        maxTokens: Math.max(0, counted.count - (current.tokens - budget)),
+        mode: mode
+      });
+      if (!truncated) {
+        throw new Error(`Could not truncate ${variable.label}`);
       }
-      currentPos += nodeLength;
+      
+      value = truncated.text;
+      current = await requestResolution(text, { ...context, [variable.key]: value });
     }
     
-    return null;
+    return { ...current, truncated: variable.label };
   }
 
-  // Show form modal
-  function showFormModal(triggerElement) {
-    const modal = document.createElement('div');
-    modal.className = 'prompt-expander-modal';
-    modal.innerHTML = `
-      <div class="modal-backdrop"></div>
-      <div class="modal-content">
-        <div class="modal-header">
-          <h3>Dynamic Form</h3>
-          <button class="close-btn">&times;</button>
-        </div>
-        <div class="modal-body">
-          <div class="form-builder">
-            <div class="form-fields" id="formFields">
+  // Ask what to do with an expansion over the token budget
+  function promptForBudget(label, response, budget, candidates) {
+    return new Promise((resolve, reject) => {
+      const platform = getPagePlatform();
+      const modal = document.createElement('div');
+      modal.className = 'prompt-expander-modal prompt-expander-exclude';
+      modal.innerHTML = `
+        <div class="modal-backdrop"></div>
+        <div class="modal-content token-budget" role="dialog" aria-label="Token budget exceeded">
+          <div class="modal-header">
+            <h3>${escapeHtml(label)} is over the token budget</h3>
+            <button class="close-btn">&times;</button>
+          </div>
+          <div class="modal-body">
+            <p class="budget-summary">
+              This expansion is <strong>${formatTokens(response.tokens, response.tokensExact)}</strong>;
+              the budget on ${escapeHtml(platform.name)} is <strong>${budget.toLocaleString()}</strong>.
+            </p>
+            ${candidates.length ? `
               <div class="field-group">
-                <label>Field Type:</label>
-                <select id="fieldType">
-                  <option value="text">Text Input</option>
-                  <option value="textarea">Multi-line Text</option>
-                  <option value="select">Dropdown</option>
-                  <option value="checkbox">Checkbox</option>
-                  <option value="date">Date Picker</option>
+                <label>Truncate</label>
+                <select name="variable">
+                  ${candidates.map((candidate, index) => `
+                    <option value="${index}">${escapeHtml(candidate.label)} (${candidate.tokens.toLocaleString()} tokens)</option>
+                  `).join('')}
                 </select>
               </div>
               <div class="field-group">
-                <label>Field Label:</label>
-                <input type="text" id="fieldLabel" placeholder="Enter field label">
+                <label>Keep</label>
+                <select name="mode">
+                  <option value="head">The start</option>
+                  <option value="tail">The end</option>
+                  <option value="middle">The start and the end</option>
+                </select>
               </div>
-              <button id="addField" class="btn-primary">Add Field</button>
-            </div>
-            <div class="form-preview" id="formPreview">
-              <h4>Form Preview:</h4>
-              <div id="previewFields"></div>
-            </div>
+            ` : '<p class="budget-summary">None of its variables can be truncated.</p>'}
+          </div>
+          <div class="modal-footer">
+            <button class="btn-secondary" data-action="cancel">Cancel</button>
+            <button class="btn-secondary" data-action="insert">Insert anyway</button>
+            ${candidates.length ? '<button class="btn-primary" data-action="truncate">Truncate and insert</button>' : ''}
           </div>
         </div>
-        <div class="modal-footer">
-          <button class="btn-secondary" id="cancelForm">Cancel</button>
-          <button class="btn-primary" id="generateForm">Generate</button>
-        </div>
-      </div>
-    `;
-    
-    document.body.appendChild(modal);
-    
-    // Setup form builder logic
-    setupFormBuilder(modal, triggerElement);
-    
-    // Focus first input
-    modal.querySelector('#fieldLabel').focus();
-  }
-
-  // Setup form builder
-  function setupFormBuilder(modal, triggerElement) {
-    const formFields = [];
-    const previewContainer = modal.querySelector('#previewFields');
-    
-    // Add field button
-    modal.querySelector('#addField').addEventListener('click', () => {
-      const type = modal.querySelector('#fieldType').value;
-      const label = modal.querySelector('#fieldLabel').value.trim();
+      `;
       
-      if (!label) {
-        showNotification('Please enter a field label', 'error');
-        return;
-      }
+      document.body.appendChild(modal);
       
-      const field = {
-        id: `field_${Date.now()}`,
-        type: type,
-        label: label,
-        required: true
+      const cancel = () => {
+        modal.remove();
+        reject(new DOMException('Expansion cancelled', 'AbortError'));
       };
       
-      formFields.push(field);
-      renderFormPreview();
+      const choose = (action) => {
+        const choice = { action: action };
+        if (action === 'truncate') {
+          choice.variable = candidates[modal.querySelector('[name="variable"]').value];
+          choice.mode = modal.querySelector('[name="mode"]').value;
+        }
+        modal.remove();
+        resolve(choice);
+      };
       
-      // Clear inputs
-      modal.querySelector('#fieldLabel').value = '';
+      modal.querySelector('[data-action="insert"]').addEventListener('click', () => choose('insert'));
+      if (candidates.length) {
+        modal.querySelector('[data-action="truncate"]').addEventListener('click', () => choose('truncate'));
+      }
+      modal.querySelector('[data-action="cancel"]').addEventListener('click', cancel);
+      modal.querySelector('.close-btn').addEventListener('click', cancel);
+      modal.querySelector('.modal-backdrop').addEventListener('click', cancel);
+      
+      // Escape cancels
+      modal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          cancel();
+        }
+        e.stopPropagation();
+      });
+      
+      (modal.querySelector('.btn-primary') || modal.querySelector('[data-action="insert"]')).focus();
     });
+  }
+
+  // Token counts are exact unless the tokenizer could not load its
+  // vocabulary and fell back to an estimate
+  function formatTokens(count, exact) {
+    return `${exact ? '' : '~'}${count.toLocaleString()} token${count === 1 ? '' : 's'}`;
+  }
+
+  // Resolve a snippet's variables and template wrapping
+  // Fill-in fields are only prompted for when interactive; previews leave
+  // them unresolved and do not read the clipboard
+  async function resolveSnippet(key, element, interactive = true) {
+    const snippet = config.snippets[key];
+    if (!snippet) {
+      throw new Error(`Unknown snippet "${key}"`);
+    }
     
-    // Render form preview
-    function renderFormPreview() {
-      previewContainer.innerHTML = '';
-      
-      formFields.forEach(field => {
-        const fieldDiv = document.createElement('div');
-        fieldDiv.className = 'preview-field';
-        
-        let fieldHTML = `<label>${field.label}:</label>`;
-        
-        switch (field.type) {
-          case 'text':
-            fieldHTML += `<input type="text" id="${field.id}" placeholder="Enter ${field.label.toLowerCase()}">`;
-            break;
-          case 'textarea':
-            fieldHTML += `<textarea id="${field.id}" placeholder="Enter ${field.label.toLowerCase()}"></textarea>`;
-            break;
-          case 'select':
-            fieldHTML += `<select id="${field.id}"><option value="">Select ${field.label.toLowerCase()}</option></select>`;
-            break;
-          case 'checkbox':
-            fieldHTML += `<input type="checkbox" id="${field.id}"> <span>Enable ${field.label.toLowerCase()}</span>`;
-            break;
-          case 'date':
-            fieldHTML += `<input type="date" id="${field.id}">`;
-            break;
+    // Get context for variable resolution
+    const context = await getExpansionContext(element, snippet.content, !interactive);
+    context.snippetKey = key;
+    
+    // Ask for fill-in values: a saved form's fields first, then those
+    // declared by the snippet or the snippets it uses
+    const fields = collectFormFields(snippet.content, new Set([key]), snippet.form ? [...snippet.form.fields] : []);
+    if (interactive && fields.length > 0) {
+      context.formData = await promptForFields(fields, getSnippetLabel(key));
+      element.focus();
+    }
+    
+    // Resolve variables and template wrapping
+    return await requestResolution(snippet.content, context);
+  }
+
+  // Wrap literal text in templates; it is passed as {{content}} so that
+  // braces in it are left alone
+  async function resolveTemplates(keys, content, element, interactive = true) {
+    const marker = `[template:${keys.join('+')}]`;
+    const context = await getExpansionContext(element, marker, !interactive);
+    context.content = content;
+    
+    const fields = collectFormFields(marker);
+    if (interactive && fields.length > 0) {
+      context.formData = await promptForFields(fields, marker);
+      element.focus();
+    }
+    
+    return await requestResolution(`${marker}{{content}}`, context);
+  }
+
+  // Collect {{input:Label}}, {{textarea:Label}}, {{select:Label|a,b}} and
+  // {{checkbox:Label}} declarations, following {{snippet:key}} references
+  // and [template:a+b] markers
+  function collectFormFields(text, visited = new Set(), fields = []) {
+    const marker = (text || '').match(/^\s*\[template:([\w-]+(?:\+[\w-]+)*)\]/);
+    if (marker) {
+      marker[1].split('+').forEach(key => {
+        const template = config.templates[key];
+        if (template && !visited.has(`template:${key}`)) {
+          visited.add(`template:${key}`);
+          collectFormFields(template.body, visited, fields);
         }
-        
-        fieldHTML += `<button class="remove-field" data-id="${field.id}">&times;</button>`;
-        fieldDiv.innerHTML = fieldHTML;
-        previewContainer.appendChild(fieldDiv);
       });
     }
     
-    // Remove field buttons
-    previewContainer.addEventListener('click', (e) => {
-      if (e.target.classList.contains('remove-field')) {
-        const fieldId = e.target.dataset.id;
-        const index = formFields.findIndex(f => f.id === fieldId);
-        if (index > -1) {
-          formFields.splice(index, 1);
-          renderFormPreview();
+    const pattern = /\{\{\s*(input|textarea|select|checkbox):([^{}|]+?)\s*(?:\|([^{}|]*))?(?:\|[^{}]*)?\}\}|\{\{\s*snippet:([\w-]+)\s*(?=[|}])/g;
+    let match;
+    
+    while ((match = pattern.exec(text || ''))) {
+      const [, type, label, choices, reference] = match;
+      
+      if (reference) {
+        if (!visited.has(reference) && config.snippets[reference]) {
+          visited.add(reference);
+          collectFormFields(config.snippets[reference].content, visited, fields);
         }
+        continue;
       }
-    });
+      
+      const key = getFieldKey(label);
+      if (!key || fields.some(field => field.key === key)) continue;
+      
+      fields.push({
+        key: key,
+        type: type,
+        label: label.trim(),
+        options: type === 'select' && choices
+          ? choices.split(',').map(choice => choice.trim()).filter(Boolean)
+          : [],
+        required: type !== 'checkbox'
+      });
+    }
     
-    // Generate form
-    modal.querySelector('#generateForm').addEventListener('click', () => {
-      if (formFields.length === 0) {
-        showNotification('Please add at least one field', 'error');
-        return;
-      }
+    return fields;
+  }
+
+  // Form data key for a field label: "Include sources" -> include_sources
+  function getFieldKey(label) {
+    return String(label).trim().toLowerCase().replace(/\W+/g, '_').replace(/^_+|_+$/g, '');
+  }
+
+  // Open a modal for the given fields and resolve with their values, or
+  // reject with an AbortError when the user cancels. Fields start out with
+  // the session value of the same name, and the answers can be kept as
+  // session values for this site.
+  async function promptForFields(fields, title) {
+    const session = await loadSessionData();
+    
+    return new Promise((resolve, reject) => {
+      const modal = document.createElement('div');
+      modal.className = 'prompt-expander-modal prompt-expander-exclude';
+      modal.innerHTML = `
+        <div class="modal-backdrop"></div>
+        <div class="modal-content fill-in-form" role="dialog" aria-label="${escapeHtml(title)}">
+          <div class="modal-header">
+            <h3>${escapeHtml(title)}</h3>
+            <button class="close-btn">&times;</button>
+          </div>
+          <div class="modal-body">
+            ${fields.map(field => renderFormField({ ...field, defaultValue: field.defaultValue || session[field.key] })).join('')}
+          </div>
+          <div class="modal-footer">
+            <label class="remember-session" title="Read them with {{session:name}}">
+              <input type="checkbox" data-action="remember"> Remember on ${escapeHtml(window.location.hostname)}
+            </label>
+            <button class="btn-secondary" data-action="cancel">Cancel</button>
+            <button class="btn-primary" data-action="submit">Insert</button>
+          </div>
+        </div>
+      `;
       
-      // Collect form data
-      const formData = {};
-      let isValid = true;
+      document.body.appendChild(modal);
       
-      formFields.forEach(field => {
-        const element = modal.querySelector(`#${field.id}`);
-        let value = '';
+      const cancel = () => {
+        modal.remove();
+        reject(new DOMException('Expansion cancelled', 'AbortError'));
+      };
+      
+      const submit = () => {
+        const formData = {};
+        let isValid = true;
         
-        if (field.type === 'checkbox') {
-          value = element.checked ? 'yes' : 'no';
-        } else {
-          value = element.value.trim();
+        fields.forEach(field => {
+          const input = modal.querySelector(`[name="${field.key}"]`);
+          const value = field.type === 'checkbox' ? (input.checked ? 'yes' : 'no') : input.value.trim();
+          
+          if (field.required && !value) {
+            isValid = false;
+            input.classList.add('error');
+          } else {
+            input.classList.remove('error');
+          }
+          
+          formData[field.key] = value;
+        });
+        
+        if (!isValid) {
+          showNotification('Please fill in all required fields', 'error');
+          return;
         }
         
-        if (field.required && !value) {
-          isValid = false;
-          element.classList.add('error');
-        } else {
-          element.classList.remove('error');
+        if (modal.querySelector('[data-action="remember"]').checked) {
+          chrome.runtime.sendMessage({
+            type: 'SET_SESSION_DATA',
+            domain: window.location.hostname,
+            data: { ...session, ...formData }
+          });
         }
         
-        formData[field.label.toLowerCase().replace(/\s+/g, '_')] = value;
-      });
-      
-      if (!isValid) {
-        showNotification('Please fill in all required fields', 'error');
-        return;
-      }
-      
-      // Generate form output
-      let output = '';
-      Object.keys(formData).forEach(key => {
-        output += `${key.replace(/_/g, ' ')}: ${formData[key]}\n`;
-      });
-      
-      // Insert into original element
-      insertTextAtCursor(triggerElement, output);
+        modal.remove();
+        resolve(formData);
+      };
       
-      // Close modal
-      modal.remove();
+      modal.querySelector('[data-action="submit"]').addEventListener('click', submit);
+      modal.querySelector('[data-action="cancel"]').addEventListener('click', cancel);
+      modal.querySelector('.close-btn').addEventListener('click', cancel);
+      modal.querySelector('.modal-backdrop').addEventListener('click', cancel);
       
-      showNotification('Form data inserted successfully', 'success');
-    });
-    
-    // Cancel and close buttons
-    modal.querySelector('#cancelForm').addEventListener('click', () => modal.remove());
-    modal.querySelector('.close-btn').addEventListener('click', () => modal.remove());
-    modal.querySelector('.modal-backdrop').addEventListener('click', () => modal.remove());
-  }
-
-  // Setup keyboard shortcuts
-  function setupKeyboardShortcuts() {
-    document.addEventListener('keydown', (e) => {
-      // Quick menu shortcut is handled by background script
-      // Expansion undo
-      if (e.ctrlKey && e.key === 'z' && !e.shiftKey && !e.altKey) {
-        if (shouldProcessElement(e.target)) {
-          undoLastExpansion();
+      // Enter submits (Ctrl+Enter from a textarea), Escape cancels
+      modal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          cancel();
+        } else if (e.key === 'Enter' && (e.target.tagName !== 'TEXTAREA' || e.ctrlKey || e.metaKey)) {
           e.preventDefault();
+          submit();
         }
-      }
+        e.stopPropagation();
+      });
+      
+      const first = modal.querySelector('input, textarea, select');
+      if (first) first.focus();
     });
   }
 
-  // Undo last expansion
-  function undoLastExpansion() {
-    if (expansionHistory.length === 0) {
-      showNotification('No expansions to undo', 'info');
-      return;
-    }
-    
-    const lastExpansion = expansionHistory.pop();
-    const element = lastExpansion.element;
+  // Render one fill-in field
+  function renderFormField(field) {
+    const label = escapeHtml(field.label);
+    const name = escapeHtml(field.key);
+    const value = escapeHtml(field.defaultValue || '');
     
-    // Restore original text
-    if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
-      element.value = lastExpansion.originalText;
-      element.selectionStart = element.selectionEnd = lastExpansion.endPos;
-    } else if (element.contentEditable === 'true' || element.isContentEditable) {
-      element.textContent = lastExpansion.originalText;
+    switch (field.type) {
+      case 'textarea':
+        return `
+          <div class="field-group">
+            <label>${label}</label>
+            <textarea name="${name}" rows="4">${value}</textarea>
+          </div>
+        `;
+      case 'select':
+        return `
+          <div class="field-group">
+            <label>${label}</label>
+            <select name="${name}">
+              ${field.options.map(option => `
+                <option value="${escapeHtml(option)}" ${option === field.defaultValue ? 'selected' : ''}>${escapeHtml(option)}</option>
+              `).join('')}
+            </select>
+          </div>
+        `;
+      case 'date':
+        return `
+          <div class="field-group">
+            <label>${label}</label>
+            <input type="date" name="${name}" value="${value}">
+          </div>
+        `;
+      case 'checkbox':
+        return `
+          <div class="field-group checkbox-field">
+            <label><input type="checkbox" name="${name}" ${field.defaultValue === 'yes' ? 'checked' : ''}> ${label}</label>
+          </div>
+        `;
+      default:
+        return `
+          <div class="field-group">
+            <label>${label}</label>
+            <input type="text" name="${name}" value="${value}">
+          </div>
+        `;
+    }
+  }
+
+  // Ask the background script to resolve variables, surfacing its errors
+  async function requestResolution(text, context) {
+    const response = await chrome.runtime.sendMessage({
+      type: 'RESOLVE_VARIABLES',
+      text: text,
+      context: context
+    });
+    
+    if (!response) {
+      throw new Error('No response from PromptExpander');
+    }
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    
+    // Kept so the expansion can be resolved again with changed values
+    return { ...response, request: { text: text, context: context } };
+  }
+
+  // Get context for variable resolution of a text
+  async function getExpansionContext(element, text, preview = false) {
+    const context = {
+      pageTitle: document.title,
+      pageUrl: window.location.href,
+      domain: window.location.hostname,
+      selectedText: window.getSelection().toString(),
+      formData: {}
+    };
+    
+    const sources = collectSources(text).join('\n');
+    for (const variable of LAZY_VARIABLES) {
+      if (!variable.pattern.test(sources)) continue;
+      
+      const value = await (preview && variable.preview ? variable.preview() : variable.read());
+      context[variable.key] = variable.capped ? await capTokens(value, config.pageContentTokenLimit) : value;
+    }
+    
+    return context;
+  }
+
+  // The texts a resolution can reach: the text itself, the templates it is
+  // wrapped in and the snippets it references
+  function collectSources(text, visited = new Set(), sources = []) {
+    sources.push(text || '');
+    
+    const marker = (text || '').match(/^\s*\[template:([\w-]+(?:\+[\w-]+)*)\]/);
+    if (marker) {
+      marker[1].split('+').forEach(key => {
+        const template = config.templates[key];
+        if (template && !visited.has(`template:${key}`)) {
+          visited.add(`template:${key}`);
+          collectSources(template.body, visited, sources);
+        }
+      });
+    }
+    
+    for (const [, reference] of (text || '').matchAll(/\{\{\s*snippet:([\w-]+)\s*(?=[|}])/g)) {
+      if (!visited.has(reference) && config.snippets[reference]) {
+        visited.add(reference);
+        collectSources(config.snippets[reference].content, visited, sources);
+      }
+    }
+    
+    return sources;
+  }
+
+  // Session values kept for this site by {{set:...}}, fill-in forms and the
+  // popup
+  async function loadSessionData() {
+    const values = await chrome.runtime.sendMessage({ type: 'GET_SESSION_DATA', domain: window.location.hostname });
+    return values || {};
+  }
+
+  // Keep the values an inserted expansion set with {{set:...}}. Previews
+  // and cancelled expansions never get here, so they change nothing.
+  function saveSessionChanges(response) {
+    if (!response.sessionChanges || Object.keys(response.sessionChanges).length === 0) return;
+    
+    chrome.runtime.sendMessage({
+      type: 'UPDATE_SESSION_DATA',
+      domain: window.location.hostname,
+      changes: response.sessionChanges
+    });
+  }
+
+  // Reading the clipboard may ask the user for permission
+  async function readClipboard() {
+    try {
+      return await navigator.clipboard.readText();
+    } catch (e) {
+      return '';
+    }
+  }
+
+  // Stand-in for the clipboard in previews, which must not ask for
+  // clipboard access: the latest recorded copy, or the tag itself
+  async function previewClipboard() {
+    const [latest] = await loadClipboardHistory();
+    return latest ? latest.text : '{{clipboard}}';
+  }
+
+  // Clipboard history entries ({ text, domain, time }), most recent first;
+  // empty unless the history is turned on
+  async function loadClipboardHistory() {
+    const entries = await chrome.runtime.sendMessage({ type: 'GET_CLIPBOARD_HISTORY' });
+    return entries || [];
+  }
+
+  // Cut a page value down to a token limit, marking where it was cut
+  async function capTokens(text, limit) {
+    if (!text || !limit) return text;
+    
+    const truncated = await chrome.runtime.sendMessage({ type: 'TRUNCATE_TOKENS', text: text, maxTokens: limit, mode: 'head' });
+    if (!truncated || truncated.text.length === text.length) return text;
+    return `${truncated.text.trimEnd()}\n\n[…]`;
+  }
+
+  // Prepare resolved snippet text for the target. Markdown and HTML snippets
+  // become rich text in contenteditable elements; elsewhere Markdown stays
+  // as written and HTML is flattened to plain text. Tab stops only survive
+  // in plain text.
+  function renderExpansion(source, format, element) {
+    const { text, stops } = parseTabStops(source);
+    
+    if (format !== 'markdown' && format !== 'html') {
+      return { html: null, text: text, stops: stops };
+    }
+    
+    const rendered = PromptExpanderRichText.renderRichText(text, format);
+    if (element.isContentEditable) {
+      return { html: rendered.html, text: rendered.text, stops: [] };
+    }
+    
+    return format === 'markdown'
+      ? { html: null, text: text, stops: stops }
+      : { html: null, text: rendered.text, stops: [] };
+  }
+
+  // Insert a rendered expansion over a range of the element's text and
+  // record it for undo
+  async function insertExpansion(element, startPos, endPos, rendered, label) {
+    const textBefore = PromptExpanderEditors.getText(element);
+    
+    if (rendered.html !== null) {
+      await PromptExpanderEditors.insertHtml(element, startPos, endPos, rendered.html, rendered.text);
+    } else {
+      await PromptExpanderEditors.replaceRange(element, startPos, endPos, rendered.text);
+    }
+    
+    // Everything outside the replaced range is unchanged, so the expanded
+    // range is whatever the text grew by
+    const textAfter = PromptExpanderEditors.getText(element);
+    const insertedLength = textAfter.length - textBefore.length + (endPos - startPos);
+    recordExpansion(element, {
+      label: label,
+      start: startPos,
+      before: textBefore.substring(startPos, endPos),
+      after: textAfter.substring(startPos, startPos + insertedLength),
+      textBefore: textBefore,
+      textAfter: textAfter
+    });
+    
+    if (rendered.html === null) {
+      startTabStops(element, rendered.text.length, rendered.stops);
+    }
+  }
+
+  // Strip {{cursor}} and numbered {{1:default}} markers from expanded text.
+  // Numbered stops are visited in order and {{cursor}} (or the end of the
+  // text) is the final stop. Repeats of a number just insert its default.
+  function parseTabStops(text) {
+    const stops = [];
+    const defaults = {};
+    let cursor = null;
+    let output = '';
+    let lastIndex = 0;
+    
+    text.replace(/\{\{\s*(?:(cursor)|(\d+)(?::([\s\S]*?))?)\s*\}\}/g, (marker, isCursor, number, defaultText, offset) => {
+      output += text.substring(lastIndex, offset);
+      lastIndex = offset + marker.length;
+      
+      if (isCursor) {
+        if (cursor === null) cursor = output.length;
+        return marker;
+      }
+      
+      const value = defaultText ?? defaults[number] ?? '';
+      if (!(number in defaults)) {
+        defaults[number] = value;
+        stops.push({ number: Number(number), start: output.length, end: output.length + value.length });
+      }
+      output += value;
+      return marker;
+    });
+    output += text.substring(lastIndex);
+    
+    if (stops.length === 0 && cursor === null) {
+      return { text: output, stops: [] };
+    }
+    
+    stops.sort((a, b) => a.number - b.number);
+    const final = cursor ?? output.length;
+    stops.push({ number: null, start: final, end: final });
+    
+    return { text: output, stops: stops };
+  }
+
+  // Select the first tab stop of text that was just inserted before the caret
+  function startTabStops(element, length, stops) {
+    if (stops.length === 0) return;
+    
+    const base = PromptExpanderEditors.getSelection(element).end - length;
+    const absolute = stops.map(stop => ({ start: base + stop.start, end: base + stop.end }));
+    
+    // Only a {{cursor}} marker: place the caret and keep any outer session
+    if (absolute.length === 1) {
+      PromptExpanderEditors.setSelection(element, absolute[0].start, absolute[0].end);
+      return;
+    }
+    
+    tabStopSession = {
+      element: element,
+      stops: absolute,
+      index: 0,
+      length: PromptExpanderEditors.getText(element).length
+    };
+    PromptExpanderEditors.setSelection(element, absolute[0].start, absolute[0].end);
+  }
+
+  // Move to another tab stop, leaving tab-stop mode at the final one
+  function moveTabStop(step) {
+    const session = tabStopSession;
+    session.index = Math.max(0, Math.min(session.index + step, session.stops.length - 1));
+    
+    const stop = session.stops[session.index];
+    PromptExpanderEditors.setSelection(session.element, stop.start, stop.end);
+    
+    if (session.index === session.stops.length - 1) {
+      endTabStops();
+    }
+  }
+
+  // Leave tab-stop mode
+  function endTabStops() {
+    tabStopSession = null;
+  }
+
+  // Setup Tab / Shift+Tab / Escape handling while tab stops are active
+  function setupTabStops() {
+    document.addEventListener('keydown', (e) => {
+      if (!tabStopSession || e.target !== tabStopSession.element) return;
+      
+      if (e.key === 'Escape') {
+        endTabStops();
+        e.preventDefault();
+        e.stopPropagation();
+      } else if (e.key === 'Tab' && !e.ctrlKey && !e.altKey && !e.metaKey) {
+        // Let a trigger typed inside a stop expand first
+        const match = !e.shiftKey && getTriggerMatch(e.target);
+        if (match && (match.trigger === 'form' || findSnippetKey(match.trigger))) return;
+        
+        moveTabStop(e.shiftKey ? -1 : 1);
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    }, true);
+    
+    // Typing inside the current stop shifts the stops after it; editing
+    // anywhere else ends the session
+    document.addEventListener('input', (e) => {
+      const session = tabStopSession;
+      if (!session || e.target !== session.element) return;
+      
+      const length = PromptExpanderEditors.getText(session.element).length;
+      const delta = length - session.length;
+      const current = session.stops[session.index];
+      session.length = length;
+      
+      current.end += delta;
+      session.stops.slice(session.index + 1).forEach(stop => {
+        stop.start += delta;
+        stop.end += delta;
+      });
+      
+      const caret = PromptExpanderEditors.getSelection(session.element).end;
+      if (current.end < current.start || caret < current.start || caret > current.end) {
+        endTabStops();
+      }
+    }, true);
+  }
+
+  // Show form modal
+  function showFormModal(triggerElement) {
+    const savedForms = Object.keys(config.snippets).filter(key => config.snippets[key].form).sort();
+    
+    const modal = document.createElement('div');
+    modal.className = 'prompt-expander-modal prompt-expander-exclude';
+    modal.innerHTML = `
+      <div class="modal-backdrop"></div>
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>Dynamic Form</h3>
+          <button class="close-btn">&times;</button>
+        </div>
+        <div class="modal-body">
+          <div class="form-builder">
+            <div class="form-fields" id="formFields">
+              ${savedForms.length > 0 ? `
+                <div class="field-group">
+                  <label>Edit Saved Form:</label>
+                  <select id="savedForm">
+                    <option value="">New form</option>
+                    ${savedForms.map(key => `<option value="${escapeHtml(key)}">${escapeHtml(getSnippetLabel(key))}</option>`).join('')}
+                  </select>
+                </div>
+              ` : ''}
+              <div class="field-group">
+                <label>Field Type:</label>
+                <select id="fieldType">
+                  <option value="text">Text Input</option>
+                  <option value="textarea">Multi-line Text</option>
+                  <option value="select">Dropdown</option>
+                  <option value="checkbox">Checkbox</option>
+                  <option value="date">Date Picker</option>
+                </select>
+              </div>
+              <div class="field-group">
+                <label>Field Label:</label>
+                <input type="text" id="fieldLabel" placeholder="Enter field label">
+              </div>
+              <div class="field-group" id="fieldOptionsGroup" hidden>
+                <label>Options:</label>
+                <input type="text" id="fieldOptions" placeholder="formal, casual, witty">
+              </div>
+              <div class="field-group">
+                <label>Default Value:</label>
+                <input type="text" id="fieldDefault" placeholder="Optional">
+              </div>
+              <div class="field-group checkbox-field">
+                <label><input type="checkbox" id="fieldOptional"> Optional field</label>
+              </div>
+              <button id="addField" class="btn-primary">Add Field</button>
+              <div class="field-group form-output">
+                <label>Output Template:</label>
+                <textarea id="formTemplate" rows="5" placeholder="Reference fields as {{field_name}}"></textarea>
+              </div>
+              <div class="field-group form-save">
+                <label>Save as Trigger:</label>
+                <div class="form-save-row">
+                  <input type="text" id="formTrigger" placeholder="e.g. brief">
+                  <button id="saveForm" class="btn-secondary">Save Form</button>
+                </div>
+              </div>
+            </div>
+            <div class="form-preview" id="formPreview">
+              <h4>Form Preview:</h4>
+              <div id="previewFields"></div>
+            </div>
+          </div>
+        </div>
+        <div class="modal-footer">
+          <button class="btn-secondary" id="cancelForm">Cancel</button>
+          <button class="btn-primary" id="generateForm">Generate</button>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    // Setup form builder logic
+    setupFormBuilder(modal, triggerElement);
+    
+    // Focus first input
+    modal.querySelector('#fieldLabel').focus();
+  }
+
+  // Setup form builder
+  function setupFormBuilder(modal, triggerElement) {
+    let formFields = [];
+    let editingIndex = -1;
+    let templateEdited = false;
+    const previewContainer = modal.querySelector('#previewFields');
+    const typeInput = modal.querySelector('#fieldType');
+    const labelInput = modal.querySelector('#fieldLabel');
+    const optionsInput = modal.querySelector('#fieldOptions');
+    const defaultInput = modal.querySelector('#fieldDefault');
+    const optionalInput = modal.querySelector('#fieldOptional');
+    const addButton = modal.querySelector('#addField');
+    const templateInput = modal.querySelector('#formTemplate');
+    const triggerInput = modal.querySelector('#formTrigger');
+    const savedFormSelect = modal.querySelector('#savedForm');
+    
+    // Options only apply to dropdowns
+    const updateOptionsVisibility = () => {
+      modal.querySelector('#fieldOptionsGroup').hidden = typeInput.value !== 'select';
+    };
+    typeInput.addEventListener('change', updateOptionsVisibility);
+    
+    // Keep the output template in step with the fields until it is edited
+    templateInput.addEventListener('input', () => {
+      templateEdited = true;
+    });
+    
+    const updateTemplate = () => {
+      if (!templateEdited) {
+        templateInput.value = formFields.map(field => `${field.label}: {{${field.key}}}`).join('\n');
+      }
+    };
+    
+    const resetFieldInputs = () => {
+      labelInput.value = '';
+      optionsInput.value = '';
+      defaultInput.value = '';
+      optionalInput.checked = false;
+      editingIndex = -1;
+      addButton.textContent = 'Add Field';
+    };
+    
+    // Load a saved form for editing
+    if (savedFormSelect) {
+      savedFormSelect.addEventListener('change', () => {
+        const snippet = config.snippets[savedFormSelect.value];
+        
+        if (snippet) {
+          formFields = snippet.form.fields.map(field => ({ ...field, options: [...(field.options || [])] }));
+          templateInput.value = snippet.content || '';
+          triggerInput.value = savedFormSelect.value;
+          templateEdited = true;
+        } else {
+          formFields = [];
+          triggerInput.value = '';
+          templateEdited = false;
+          updateTemplate();
+        }
+        
+        resetFieldInputs();
+        renderFormPreview();
+      });
+    }
+    
+    // Add field button
+    addButton.addEventListener('click', () => {
+      const type = typeInput.value;
+      const label = labelInput.value.trim();
+      const options = optionsInput.value.split(',').map(option => option.trim()).filter(Boolean);
+      const key = getFieldKey(label);
+      
+      if (!label || !key) {
+        showNotification('Please enter a field label', 'error');
+        return;
+      }
+      
+      if (type === 'select' && options.length === 0) {
+        showNotification('Please enter the dropdown options', 'error');
+        return;
+      }
+      
+      if (formFields.some((field, index) => field.key === key && index !== editingIndex)) {
+        showNotification(`A field named "${key}" already exists`, 'error');
+        return;
+      }
+      
+      const field = {
+        id: `field_${Date.now()}`,
+        key: key,
+        type: type,
+        label: label,
+        options: type === 'select' ? options : [],
+        defaultValue: defaultInput.value.trim(),
+        required: type !== 'checkbox' && !optionalInput.checked
+      };
+      
+      if (editingIndex > -1) {
+        formFields[editingIndex] = field;
+      } else {
+        formFields.push(field);
+      }
+      
+      updateTemplate();
+      renderFormPreview();
+      
+      // Clear inputs
+      resetFieldInputs();
+    });
+    
+    // Render form preview
+    function renderFormPreview() {
+      previewContainer.innerHTML = '';
+      
+      formFields.forEach((field, index) => {
+        const fieldDiv = document.createElement('div');
+        fieldDiv.className = 'preview-field';
+        fieldDiv.innerHTML = `
+          ${renderFormField(field)}
+          ${field.required ? '' : '<span class="field-optional">Optional</span>'}
+          <div class="preview-field-actions">
+            <button class="edit-field" data-index="${index}" title="Edit field">&#9998;</button>
+            <button class="remove-field" data-index="${index}" title="Remove field">&times;</button>
+          </div>
+        `;
+        previewContainer.appendChild(fieldDiv);
+      });
+    }
+    
+    // Edit and remove field buttons
+    previewContainer.addEventListener('click', (e) => {
+      const index = Number(e.target.dataset.index);
+      
+      if (e.target.classList.contains('remove-field')) {
+        formFields.splice(index, 1);
+        resetFieldInputs();
+        updateTemplate();
+        renderFormPreview();
+      } else if (e.target.classList.contains('edit-field')) {
+        const field = formFields[index];
+        typeInput.value = field.type;
+        labelInput.value = field.label;
+        optionsInput.value = field.options.join(', ');
+        defaultInput.value = field.defaultValue || '';
+        optionalInput.checked = !field.required && field.type !== 'checkbox';
+        editingIndex = index;
+        addButton.textContent = 'Update Field';
+        updateOptionsVisibility();
+        labelInput.focus();
+      }
+    });
+    
+    // Save the form as a snippet that opens it when triggered
+    modal.querySelector('#saveForm').addEventListener('click', async () => {
+      const trigger = triggerInput.value.trim();
+      
+      if (formFields.length === 0) {
+        showNotification('Please add at least one field', 'error');
+        return;
+      }
+      if (!/^[\w-]+$/.test(trigger) || trigger === 'form') {
+        triggerInput.classList.add('error');
+        showNotification('Use a trigger made of letters, numbers, underscores and hyphens', 'error');
+        return;
+      }
+      triggerInput.classList.remove('error');
+      
+      const editing = savedFormSelect ? savedFormSelect.value : '';
+      if (config.snippets[trigger] && trigger !== editing &&
+          !confirm(`Replace the existing snippet ${config.triggerPrefix}${trigger}?`)) {
+        return;
+      }
+      
+      try {
+        const stored = await chrome.runtime.sendMessage({ type: 'GET_STORAGE', keys: ['snippets'] });
+        const snippets = { ...(stored && stored.snippets) };
+        
+        if (editing && editing !== trigger) {
+          delete snippets[editing];
+        }
+        
+        snippets[trigger] = {
+          ...snippets[editing || trigger],
+          content: templateInput.value,
+          description: snippets[editing || trigger]?.description || `Form with ${formFields.length} field${formFields.length === 1 ? '' : 's'}`,
+          form: {
+            fields: formFields.map(({ key, type, label, options, defaultValue, required }) => ({
+              key, type, label, options, defaultValue, required
+            }))
+          },
+          updatedAt: Date.now()
+        };
+        
+        const response = await chrome.runtime.sendMessage({ type: 'SET_STORAGE', data: { snippets } });
+        if (!response || !response.success) {
+          throw new Error((response && response.error) || 'Storage error');
+        }
+        
+        config.snippets = snippets;
+        modal.remove();
+        showNotification(`Saved form as ${config.triggerPrefix}${trigger}`, 'success');
+      } catch (error) {
+        showNotification(`Failed to save form: ${error.message}`, 'error');
+      }
+    });
+    
+    // Generate form
+    modal.querySelector('#generateForm').addEventListener('click', async () => {
+      if (formFields.length === 0) {
+        showNotification('Please add at least one field', 'error');
+        return;
+      }
+      
+      // Collect form data
+      const formData = {};
+      let isValid = true;
+      
+      formFields.forEach(field => {
+        const element = previewContainer.querySelector(`[name="${field.key}"]`);
+        let value = '';
+        
+        if (field.type === 'checkbox') {
+          value = element.checked ? 'yes' : 'no';
+        } else {
+          value = element.value.trim();
+        }
+        
+        if (field.required && !value) {
+          isValid = false;
+          element.classList.add('error');
+        } else {
+          element.classList.remove('error');
+        }
+        
+        formData[field.key] = value;
+      });
+      
+      if (!isValid) {
+        showNotification('Please fill in all required fields', 'error');
+        return;
+      }
+      
+      // Generate form output from the template
+      try {
+        const context = await getExpansionContext(triggerElement, templateInput.value);
+        context.formData = formData;
+        const response = await requestResolution(templateInput.value, context);
+        const rendered = renderExpansion(response.resolved, 'text', triggerElement);
+        
+        // Close modal
+        modal.remove();
+        
+        // Insert into original element
+        triggerElement.focus();
+        const { start, end } = PromptExpanderEditors.getSelection(triggerElement);
+        await insertExpansion(triggerElement, start, end, rendered, `${config.triggerPrefix}form`);
+        saveSessionChanges(response);
+        
+        showUndoNotification(triggerElement, 'Form data inserted successfully');
+      } catch (error) {
+        showNotification(`Could not generate form output: ${error.message}`, 'error');
+      }
+    });
+    
+    // Cancel and close buttons
+    modal.querySelector('#cancelForm').addEventListener('click', () => modal.remove());
+    modal.querySelector('.close-btn').addEventListener('click', () => modal.remove());
+    modal.querySelector('.modal-backdrop').addEventListener('click', () => modal.remove());
+  }
+
+  // Keep expansion history in step with the browser's own undo and redo,
+  // so Ctrl+Z on an expansion can be followed by our redo and vice versa
+  function setupExpansionHistory() {
+    document.addEventListener('input', (e) => {
+      if (isProcessing || (e.inputType !== 'historyUndo' && e.inputType !== 'historyRedo')) return;
+      
+      const history = expansionHistory.get(e.target);
+      if (!history) return;
+      
+      const text = PromptExpanderEditors.getText(e.target);
+      if (e.inputType === 'historyUndo') {
+        const entry = history.undo[history.undo.length - 1];
+        if (entry && text === entry.textBefore) {
+          history.redo.push(history.undo.pop());
+        }
+      } else {
+        const entry = history.redo[history.redo.length - 1];
+        if (entry && text === entry.textAfter) {
+          history.undo.push(history.redo.pop());
+        }
+      }
+    }, true);
+  }
+
+  // Add an expansion to an element's undo stack
+  function recordExpansion(element, entry) {
+    if (!expansionHistory.has(element)) {
+      expansionHistory.set(element, { undo: [], redo: [] });
+    }
+    
+    const history = expansionHistory.get(element);
+    history.undo.push(entry);
+    if (history.undo.length > MAX_UNDO_LEVELS) {
+      history.undo.shift();
+    }
+    history.redo = [];
+    lastExpandedElement = element;
+  }
+
+  // The element undo and redo apply to: the focused field if it has
+  // expansions, otherwise the last field that was expanded into
+  function getHistoryElement() {
+    const active = document.activeElement;
+    if (active && expansionHistory.has(active)) {
+      return active;
+    }
+    return lastExpandedElement && lastExpandedElement.isConnected ? lastExpandedElement : null;
+  }
+
+  // Undo or redo the latest expansion in an element. Only the expanded range
+  // changes, so text typed elsewhere since is kept. When nothing has been
+  // edited since, the browser's own undo or redo is used instead, keeping
+  // its history intact.
+  async function stepExpansionHistory(element, direction) {
+    const undoing = direction === 'undo';
+    const history = element && expansionHistory.get(element);
+    const stack = history && (undoing ? history.undo : history.redo);
+    
+    if (!stack || stack.length === 0) {
+      showNotification(undoing ? 'No expansions to undo' : 'No expansions to redo', 'info');
+      return;
+    }
+    
+    const entry = stack[stack.length - 1];
+    const [from, to] = undoing ? [entry.after, entry.before] : [entry.before, entry.after];
+    const [current, target] = undoing ? [entry.textAfter, entry.textBefore] : [entry.textBefore, entry.textAfter];
+    
+    isProcessing = true;
+    endTabStops();
+    
+    try {
+      if (!stepNativeHistory(element, direction, current, target)) {
+        const text = PromptExpanderEditors.getText(element);
+        const start = findExpandedRange(text, from, entry.start);
+        if (start === -1) {
+          showNotification(`Could not ${direction} ${entry.label}: the text has been edited since`, 'error');
+          return;
+        }
+        
+        await PromptExpanderEditors.replaceRange(element, start, start + from.length, to);
+        entry.start = start;
+      }
+      
+      stack.pop();
+      (undoing ? history.redo : history.undo).push(entry);
+      
+      if (undoing) {
+        showNotification(`Undid expansion of ${entry.label}`, 'success', {
+          action: { label: 'Redo', onClick: () => stepExpansionHistory(element, 'redo') },
+          duration: UNDO_NOTIFICATION_DURATION
+        });
+      } else {
+        showUndoNotification(element, `Redid expansion of ${entry.label}`);
+      }
+    } finally {
+      isProcessing = false;
+    }
+  }
+
+  // Use the browser's undo or redo when the element still holds exactly the
+  // text it had after the expansion (or after undoing it). Restores the text
+  // and returns false if the native step did something else.
+  function stepNativeHistory(element, direction, current, target) {
+    if (!PromptExpanderEditors.hasNativeHistory(element) || PromptExpanderEditors.getText(element) !== current) {
+      return false;
+    }
+    
+    element.focus();
+    if (!document.execCommand(direction, false, null)) {
+      return false;
+    }
+    
+    const text = PromptExpanderEditors.getText(element);
+    if (text === target) {
+      return true;
+    }
+    if (text !== current) {
+      document.execCommand(direction === 'undo' ? 'redo' : 'undo', false, null);
+    }
+    return false;
+  }
+
+  // Find the occurrence of an expansion's text nearest to where it was made
+  function findExpandedRange(text, value, position) {
+    if (!value) {
+      return Math.min(position, text.length);
+    }
+    if (text.substr(position, value.length) === value) {
+      return position;
+    }
+    
+    let best = -1;
+    for (let index = text.indexOf(value); index !== -1; index = text.indexOf(value, index + 1)) {
+      if (best === -1 || Math.abs(index - position) < Math.abs(best - position)) {
+        best = index;
+      }
+    }
+    return best;
+  }
+
+  // Confirm an expansion with a notification offering to undo it
+  function showUndoNotification(element, message) {
+    showNotification(message, 'success', {
+      action: { label: 'Undo', onClick: () => stepExpansionHistory(element, 'undo') },
+      duration: UNDO_NOTIFICATION_DURATION
+    });
+  }
+
+  // Listen for messages from background and popup
+  function setupMessageListener() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      switch (message.type) {
+        case 'SHOW_QUICK_MENU':
+          showQuickMenu();
+          break;
+        case 'INJECT_TEMPLATE':
+          injectTemplate(message.template);
+          break;
+        case 'UNDO_EXPANSION':
+          stepExpansionHistory(getHistoryElement(), 'undo');
+          break;
+        case 'REDO_EXPANSION':
+          stepExpansionHistory(getHistoryElement(), 'redo');
+          break;
+        case 'GET_PAGE_INFO':
+          sendResponse(getPageInfo());
+          break;
+        case 'OMNIBOX_EXPANSION':
+          expandNamedSnippet(message.trigger, false);
+          break;
+        case 'EXPAND_SELECTION':
+          expandNamedSnippet(message.selectedText, true);
+          break;
+      }
+    });
+  }
+
+  // Expand a snippet chosen outside the field: from the omnibox or the
+  // popup, over the field's selection, or from the context menu, with the
+  // selected text naming the snippet. The prefix is optional and only
+  // snippets that apply to this page are found.
+  async function expandNamedSnippet(trigger, fromSelection) {
+    if (!isExpansionEnabled()) {
+      showNotification('PromptExpander is disabled on this site', 'info');
+      return;
     }
     
-    showNotification(`Undid expansion of :${lastExpansion.trigger}`, 'success');
-  }
\ No newline at end of file
+    const active = document.activeElement;
+    const element = active && isEditableElement(active) ? active : lastFocusedElement;
+    if (!element || !element.isConnected) {
+      showNotification('Focus a text field to expand a snippet', 'info');
+      return;
+    }
+    
+    const name = String(trigger || '').trim();
+    const bare = name.startsWith(config.triggerPrefix) ? name.substring(config.triggerPrefix.length) : name;
+    const key = getPageSnippets()[bare];
+    if (!key) {
+      showNotification(`No snippet ${config.triggerPrefix}${bare} on this page`, 'error');
+      return;
+    }
+    
+    element.focus();
+    let { start, end } = PromptExpanderEditors.getSelection(element);
+    if (fromSelection) {
+      // Only the trigger is replaced, not whitespace selected around it
+      const selected = PromptExpanderEditors.getText(element).substring(start, end);
+      if (selected.trim() !== name) {
+        showNotification('Select the trigger to expand it', 'info');
+        return;
+      }
+      start += selected.length - selected.trimStart().length;
+      end = start + name.length;
+    }
+    
+    await expandSnippet(element, key, start, end);
+  }
+
+  // Describe the page for the popup
+  function getPageInfo() {
+    const platform = getPagePlatform();
+    const fields = Array.from(document.querySelectorAll('textarea, input, [contenteditable]'))
+      .filter(element => isEditableElement(element) && !(element.parentElement && element.parentElement.closest('[contenteditable]')));
+    
+    return {
+      textFields: fields.length,
+      platform: platform ? {
+        id: platform.id,
+        name: platform.name,
+        defaultModel: platform.defaultModel,
+        hasPromptInput: Boolean(platform.inputSelector && document.querySelector(platform.inputSelector))
+      } : null
+    };
+  }
+
+  // Wrap the focused field's selection, or all of its text, in a template
+  async function injectTemplate(templateKey) {
+    const active = document.activeElement;
+    const element = active && isEditableElement(active) ? active : lastFocusedElement;
+    if (!element || !element.isConnected) {
+      showNotification('Focus a text field to apply a template', 'info');
+      return;
+    }
+    if (!config.templates[templateKey]) {
+      showNotification(`Unknown template "${templateKey}"`, 'error');
+      return;
+    }
+    
+    const originalText = PromptExpanderEditors.getText(element);
+    const selection = PromptExpanderEditors.getSelection(element);
+    const hasSelection = selection.end > selection.start;
+    const start = hasSelection ? selection.start : 0;
+    const end = hasSelection ? selection.end : originalText.length;
+    
+    try {
+      const response = await resolveTemplates([templateKey], originalText.substring(start, end), element);
+      const rendered = renderExpansion(response.resolved, 'text', element);
+      const label = config.templates[templateKey].name || templateKey;
+      
+      await insertExpansion(element, start, end, rendered, label);
+      saveSessionChanges(response);
+      showUndoNotification(element, `Applied template ${label}`);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('PromptExpander: Template injection failed:', error);
+      showNotification(`Could not apply template: ${error.message}`, 'error');
+    }
+  }
+
+  // Show a token meter while a platform's prompt box is in use
+  function setupTokenMeter() {
+    document.addEventListener('focusin', (e) => attachTokenMeter(e.target), true);
+    
+    document.addEventListener('input', (e) => {
+      if (tokenMeter && tokenMeter.target.contains(e.target)) {
+        clearTimeout(tokenMeter.timer);
+        tokenMeter.timer = setTimeout(updateTokenMeter, TOKEN_METER_DELAY);
+      } else {
+        attachTokenMeter(e.target);
+      }
+    }, true);
+    
+    window.addEventListener('scroll', positionTokenMeter, true);
+    window.addEventListener('resize', positionTokenMeter);
+  }
+
+  // The prompt box of this page's AI platform containing an element
+  function getPromptInput(element) {
+    const platform = getPagePlatform();
+    if (!platform || !platform.inputSelector || !element || !element.closest) return null;
+    
+    try {
+      return element.closest(platform.inputSelector);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function attachTokenMeter(element) {
+    if (!config.tokenMeterEnabled || !isExpansionEnabled()) return;
+    
+    const target = getPromptInput(element);
+    if (!target || (tokenMeter && tokenMeter.target === target)) return;
+    
+    removeTokenMeter();
+    
+    const meter = document.createElement('div');
+    meter.className = 'prompt-expander-token-meter';
+    document.body.appendChild(meter);
+    
+    tokenMeter = { element: meter, target: target, timer: null };
+    updateTokenMeter();
+  }
+
+  function removeTokenMeter() {
+    if (!tokenMeter) return;
+    
+    clearTimeout(tokenMeter.timer);
+    tokenMeter.element.remove();
+    tokenMeter = null;
+  }
+
+  // Count the prompt's tokens and show them against the context limit of
+  // the platform's model
+  async function updateTokenMeter() {
+    const meter = tokenMeter;
+    if (!meter) return;
+    
+    // Chat apps replace the prompt box when switching conversations
+    if (!meter.target.isConnected) {
+      removeTokenMeter();
+      return;
+    }
+    
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({
+        type: 'COUNT_TOKENS',
+        text: PromptExpanderEditors.getText(meter.target)
+      });
+    } catch (error) {
+      // The extension was reloaded or the background script failed; show
+      // the count as unknown rather than a stale number
+      if (tokenMeter !== meter) return;
+      meter.element.textContent = '? tokens';
+      meter.element.title = 'Tokens could not be counted';
+      meter.element.classList.remove('warning', 'over');
+      positionTokenMeter();
+      return;
+    }
+    if (tokenMeter !== meter || !response) return;
+    
+    const platform = getPagePlatform();
+    const model = platform && platform.defaultModel;
+    const limit = PromptExpanderPlatforms.getContextLimit(model, config.contextLimits);
+    const ratio = limit ? response.count / limit : 0;
+    
+    meter.element.textContent = `${response.exact ? '' : '~'}${response.count.toLocaleString()}${limit ? ` / ${limit.toLocaleString()}` : ''} tokens`;
+    meter.element.title = limit
+      ? `${Math.round(ratio * 100)}% of the ${model} context window`
+      : 'Tokens in this prompt';
+    meter.element.classList.toggle('warning', ratio >= TOKEN_METER_WARNING && ratio < 1);
+    meter.element.classList.toggle('over', ratio >= 1);
+    positionTokenMeter();
+  }
+
+  // Keep the meter just above the prompt box's top right corner, or below
+  // the box when there is no room above
+  function positionTokenMeter() {
+    if (!tokenMeter) return;
+    
+    const { element, target } = tokenMeter;
+    const rect = target.getBoundingClientRect();
+    element.hidden = rect.width === 0 && rect.height === 0;
+    if (element.hidden) return;
+    
+    const top = rect.top - element.offsetHeight - 4;
+    element.style.top = `${top >= 0 ? top : rect.bottom + 4}px`;
+    element.style.left = `${Math.max(0, rect.right - element.offsetWidth)}px`;
+  }
+
+  // Setup quick menu
+  function setupQuickMenu() {
+    // Remember the last focused editable so the menu can insert into it
+    // even when it is opened from the context menu or the toolbar
+    document.addEventListener('focusin', (e) => {
+      if (e.target.closest && e.target.closest('.prompt-expander-quick-menu')) return;
+      if (isEditableElement(e.target)) {
+        lastFocusedElement = e.target;
+      }
+    });
+  }
+
+  // Record text copied on the page in the clipboard history, when the user
+  // has turned it on. Listening on the window in the bubble phase runs
+  // after page handlers that put their own text on the clipboard.
+  function setupClipboardHistory() {
+    const record = (e) => {
+      if (!config.clipboardHistoryEnabled || !isExpansionEnabled()) return;
+      
+      const text = getCopiedText(e);
+      if (text && text.trim()) {
+        chrome.runtime.sendMessage({ type: 'RECORD_CLIPBOARD', text: text, domain: window.location.hostname });
+      }
+    };
+    
+    window.addEventListener('copy', record);
+    window.addEventListener('cut', record);
+  }
+
+  // The text a copy or cut puts on the clipboard: what a page handler set
+  // in place of the selection, or the selection itself. Password fields
+  // are never recorded.
+  function getCopiedText(e) {
+    if (e.defaultPrevented && e.clipboardData) {
+      return e.clipboardData.getData('text/plain');
+    }
+    
+    const active = document.activeElement;
+    if (active && (active.tagName === 'TEXTAREA' || active.tagName === 'INPUT')) {
+      if (active.type === 'password' || active.selectionStart === null) return '';
+      return active.value.substring(active.selectionStart, active.selectionEnd);
+    }
+    return window.getSelection().toString();
+  }
+
+  // Show quick menu anchored at the caret of the focused field
+  async function showQuickMenu() {
+    closeQuickMenu();
+    
+    if (!isExpansionEnabled()) {
+      showNotification('PromptExpander is disabled on this site', 'info');
+      return;
+    }
+    
+    const active = document.activeElement;
+    const target = active && isEditableElement(active) ? active : lastFocusedElement;
+    if (!target || !target.isConnected) {
+      showNotification('Focus a text field to open the snippet menu', 'info');
+      return;
+    }
+    
+    const items = [...getQuickMenuItems(), ...await getClipboardMenuItems()];
+    if (items.length === 0) {
+      showNotification('No snippets or templates available', 'info');
+      return;
+    }
+    
+    const savedSelection = saveSelection(target);
+    const caretRect = getCaretRect(target);
+    
+    const menu = document.createElement('div');
+    menu.className = 'prompt-expander-quick-menu prompt-expander-exclude anchored';
+    menu.innerHTML = `
+      <div class="quick-menu-backdrop"></div>
+      <div class="quick-menu-content" role="dialog" aria-label="Snippet search">
+        <div class="menu-header">
+          <input type="text" class="quick-menu-search" placeholder="Search snippets and templates..." autocomplete="off" spellcheck="false">
+        </div>
+        <div class="menu-body" role="listbox"></div>
+        <div class="menu-footer">
+          <div class="menu-help">
+            <span><kbd>&uarr;</kbd> <kbd>&darr;</kbd> Navigate</span>
+            <span><kbd>Enter</kbd> Insert</span>
+            <span><kbd>Esc</kbd> Close</span>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(menu);
+    positionQuickMenu(menu.querySelector('.quick-menu-content'), caretRect);
+    
+    quickMenu = {
+      element: menu,
+      target: target,
+      savedSelection: savedSelection,
+      items: items,
+      results: items,
+      selectedIndex: 0,
+      previews: {},
+      previewTimer: null
+    };
+    
+    const searchInput = menu.querySelector('.quick-menu-search');
+    searchInput.addEventListener('input', () => {
+      quickMenu.results = filterQuickMenuItems(quickMenu.items, searchInput.value);
+      quickMenu.selectedIndex = 0;
+      renderQuickMenu();
+    });
+    searchInput.addEventListener('keydown', handleQuickMenuKey);
+    
+    menu.querySelector('.menu-body').addEventListener('mousedown', (e) => {
+      // Keep focus in the search box while clicking results
+      e.preventDefault();
+    });
+    menu.querySelector('.menu-body').addEventListener('click', (e) => {
+      const item = e.target.closest('.snippet-item');
+      if (item) {
+        quickMenu.selectedIndex = Number(item.dataset.index);
+        insertQuickMenuSelection();
+      }
+    });
+    menu.querySelector('.quick-menu-backdrop').addEventListener('click', () => {
+      closeQuickMenu(true);
+    });
+    
+    renderQuickMenu();
+    searchInput.focus();
+  }
+
+  // Close quick menu, optionally returning focus to the original field
+  function closeQuickMenu(restoreFocus = false) {
+    if (!quickMenu) return;
+    
+    const { element, target, savedSelection, previewTimer } = quickMenu;
+    clearTimeout(previewTimer);
+    element.remove();
+    quickMenu = null;
+    
+    if (restoreFocus) {
+      restoreSelection(target, savedSelection);
+    }
+  }
+
+  // Build the searchable list of snippets and templates
+  function getQuickMenuItems() {
+    // Only snippets that apply to this page, one per trigger
+    const snippets = Object.entries(getPageSnippets()).map(([trigger, key]) => ({
+      kind: 'snippet',
+      badge: config.snippets[key].form ? 'form' : 'snippet',
+      key: key,
+      trigger: trigger,
+      label: `${config.triggerPrefix}${trigger}`,
+      description: config.snippets[key].description || '',
+      content: config.snippets[key].content || ''
+    }));
+    
+    const templates = Object.entries(config.templates || {}).map(([key, template]) => ({
+      kind: 'template',
+      badge: 'template',
+      key: key,
+      trigger: key,
+      label: `[template:${key}]`,
+      description: template.name || '',
+      content: (template.body || '').replace(/\{\{\s*content\s*\}\}/g, '…')
+    }));
+    
+    const byTrigger = (a, b) => a.trigger.localeCompare(b.trigger);
+    return [...snippets.sort(byTrigger), ...templates.sort(byTrigger)];
+  }
+
+  // Clipboard history entries, listed after snippets and templates
+  async function getClipboardMenuItems() {
+    if (!config.clipboardHistoryEnabled) return [];
+    
+    let entries;
+    try {
+      entries = await loadClipboardHistory();
+    } catch (error) {
+      // Show the menu without the clipboard section
+      console.error('PromptExpander: Failed to load clipboard history:', error);
+      return [];
+    }
+    return entries.map((entry, index) => ({
+      kind: 'clipboard',
+      badge: 'clipboard',
+      key: String(index + 1),
+      trigger: `clipboard:${index + 1}`,
+      label: `{{clipboard:${index + 1}}}`,
+      description: `Copied ${new Date(entry.time).toLocaleString()}${entry.domain ? ` on ${entry.domain}` : ''}`,
+      content: entry.text
+    }));
+  }
+
+  // Rank items against the query by trigger, description and content
+  function filterQuickMenuItems(items, query) {
+    const normalizedQuery = query.trim().toLowerCase().replace(/^\[?template:/, '');
+    const prefix = (config.triggerPrefix || '').toLowerCase();
+    const needle = prefix && normalizedQuery.startsWith(prefix)
+      ? normalizedQuery.substring(prefix.length)
+      : normalizedQuery;
+    
+    if (!needle) return items;
+    
+    return items
+      .map(item => ({
+        item,
+        score: Math.max(
+          fuzzyScore(needle, item.trigger) * 3,
+          fuzzyScore(needle, item.description) * 2,
+          fuzzyScore(needle, item.content)
+        )
+      }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score || a.item.trigger.localeCompare(b.item.trigger))
+      .map(result => result.item);
+  }
+
+  // Score a fuzzy match: substrings beat scattered subsequences
+  function fuzzyScore(needle, text) {
+    if (!text) return 0;
+    
+    const haystack = text.toLowerCase();
+    const index = haystack.indexOf(needle);
+    if (index === 0) return 200;
+    if (index > 0) return 150 - Math.min(index, 100);
+    
+    // Subsequence match with a bonus for consecutive characters
+    let score = 0;
+    let consecutive = 0;
+    let lastIndex = -1;
+    
+    for (const char of needle) {
+      const found = haystack.indexOf(char, lastIndex + 1);
+      if (found === -1) return 0;
+      
+      consecutive = found === lastIndex + 1 ? consecutive + 1 : 0;
+      score += 1 + consecutive * 2;
+      lastIndex = found;
+    }
+    
+    return Math.min(score, 49);
+  }
+
+  // Render quick menu results
+  function renderQuickMenu() {
+    if (!quickMenu) return;
+    
+    const body = quickMenu.element.querySelector('.menu-body');
+    const { results, selectedIndex } = quickMenu;
+    
+    if (results.length === 0) {
+      body.innerHTML = '<div class="quick-menu-empty">No matching snippets or templates</div>';
+      return;
+    }
+    
+    body.innerHTML = results.map((item, index) => `
+      <div class="snippet-item${index === selectedIndex ? ' selected' : ''}" data-index="${index}" role="option" aria-selected="${index === selectedIndex}">
+        <div class="snippet-item-header">
+          <span class="snippet-key">${escapeHtml(item.label)}</span>
+          <span class="snippet-kind ${item.badge}">${item.badge}</span>
+        </div>
+        ${item.description ? `<span class="snippet-desc">${escapeHtml(item.description)}</span>` : ''}
+        ${index === selectedIndex ? '<div class="snippet-preview"></div>' : ''}
+      </div>
+    `).join('');
+    
+    const selected = body.querySelector('.snippet-item.selected');
+    if (selected) {
+      selected.scrollIntoView({ block: 'nearest' });
+    }
+    
+    schedulePreview();
+  }
+
+  // Resolve the selected item's preview after a short pause in navigation
+  function schedulePreview() {
+    clearTimeout(quickMenu.previewTimer);
+    
+    const item = quickMenu.results[quickMenu.selectedIndex];
+    const cacheKey = `${item.kind}:${item.key}`;
+    
+    if (quickMenu.previews[cacheKey]) {
+      renderPreview(quickMenu.previews[cacheKey]);
+      return;
+    }
+    
+    renderPreview({ text: item.content, tokens: null });
+    
+    quickMenu.previewTimer = setTimeout(async () => {
+      const menu = quickMenu;
+      const preview = await resolveQuickMenuItem(item, menu.target, menu.savedSelection);
+      
+      if (quickMenu !== menu) return;
+      menu.previews[cacheKey] = {
+        text: parseTabStops(preview.resolved).text,
+        tokens: preview.tokens,
+        tokensExact: preview.tokensExact,
+        error: preview.error
+      };
+      
+      if (menu.results[menu.selectedIndex] === item) {
+        renderPreview(menu.previews[cacheKey]);
+      }
+    }, 150);
+  }
+
+  // Render preview of the selected item
+  function renderPreview(preview) {
+    const container = quickMenu.element.querySelector('.snippet-item.selected .snippet-preview');
+    if (!container) return;
+    
+    if (preview.error) {
+      container.innerHTML = `<div class="snippet-preview-error">${escapeHtml(preview.error)}</div>`;
+      return;
+    }
+    
+    const text = preview.text.length > 600 ? `${preview.text.substring(0, 600)}…` : preview.text;
+    container.innerHTML = `
+      <div class="snippet-preview-text">${escapeHtml(text)}</div>
+      <div class="snippet-preview-tokens">${preview.tokens === null ? 'Resolving…' : formatTokens(preview.tokens, preview.tokensExact)}</div>
+    `;
+  }
+
+  // Resolve a quick menu item to the text it will insert. Interactive
+  // resolution also checks the token budget.
+  async function resolveQuickMenuItem(item, element, savedSelection, interactive = false) {
+    try {
+      let response;
+      if (item.kind === 'snippet') {
+        response = await resolveSnippet(item.key, element, interactive);
+      } else if (item.kind === 'template') {
+        response = await resolveTemplates([item.key], getSelectedText(element, savedSelection), element, interactive);
+      } else {
+        response = await resolveClipboardItem(item, element);
+      }
+      
+      return interactive ? await enforceTokenBudget(response, item.label) : response;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return { resolved: '', tokens: 0, cancelled: true };
+      }
+      console.error('PromptExpander: Failed to resolve quick menu item:', error);
+      return { resolved: '', tokens: 0, error: error.message };
+    }
+  }
+
+  // A clipboard history entry is inserted as it was copied; passing it as
+  // {{content}} leaves braces in it alone
+  async function resolveClipboardItem(item, element) {
+    const context = await getExpansionContext(element, '');
+    context.content = item.content;
+    return await requestResolution('{{content}}', context);
+  }
+
+  // Handle quick menu keyboard navigation
+  function handleQuickMenuKey(e) {
+    const { results } = quickMenu;
+    
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (results.length > 0) {
+          quickMenu.selectedIndex = (quickMenu.selectedIndex + 1) % results.length;
+          renderQuickMenu();
+        }
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        if (results.length > 0) {
+          quickMenu.selectedIndex = (quickMenu.selectedIndex - 1 + results.length) % results.length;
+          renderQuickMenu();
+        }
+        break;
+      case 'Enter':
+        e.preventDefault();
+        insertQuickMenuSelection();
+        break;
+      case 'Escape':
+        e.preventDefault();
+        closeQuickMenu(true);
+        break;
+    }
+    
+    // Keep page shortcuts from reacting to menu keystrokes
+    e.stopPropagation();
+  }
+
+  // Insert the selected quick menu item into the original field
+  async function insertQuickMenuSelection() {
+    const menu = quickMenu;
+    const item = menu && menu.results[menu.selectedIndex];
+    if (!item) return;
+    
+    const { target, savedSelection } = menu;
+    
+    // Close first so a fill-in form can take focus
+    closeQuickMenu(true);
+    
+    const resolved = await resolveQuickMenuItem(item, target, savedSelection, true);
+    
+    if (resolved.cancelled) return;
+    if (resolved.error) {
+      showNotification(`Could not expand ${item.label}: ${resolved.error}`, 'error');
+      return;
+    }
+    
+    restoreSelection(target, savedSelection);
+    
+    const format = item.kind === 'snippet' ? config.snippets[item.key].format : 'text';
+    const rendered = renderExpansion(resolved.resolved, format, target);
+    const { start, end } = PromptExpanderEditors.getSelection(target);
+    
+    await insertExpansion(target, start, end, rendered, item.label);
+    saveSessionChanges(resolved);
+    showUndoNotification(target, `Inserted ${item.label}`);
+    
+    if (item.kind === 'snippet') {
+      chrome.runtime.sendMessage({
+        type: 'TRACK_USAGE',
+        snippetKey: item.key,
+        domain: window.location.hostname,
+        tokens: resolved.tokens
+      });
+    }
+  }
+
+  // Position quick menu below the caret, flipping above when out of room
+  function positionQuickMenu(content, caretRect) {
+    const margin = 8;
+    const menuWidth = Math.min(480, window.innerWidth - margin * 2);
+    const menuHeight = Math.min(420, window.innerHeight * 0.7);
+    
+    let left = Math.min(Math.max(caretRect.left, margin), window.innerWidth - menuWidth - margin);
+    let top = caretRect.bottom + 4;
+    
+    if (top + menuHeight > window.innerHeight - margin && caretRect.top - menuHeight - 4 > margin) {
+      top = caretRect.top - menuHeight - 4;
+    }
+    top = Math.max(margin, Math.min(top, window.innerHeight - menuHeight - margin));
+    left = Math.max(margin, left);
+    
+    content.style.top = `${top}px`;
+    content.style.left = `${left}px`;
+    content.style.width = `${menuWidth}px`;
+    content.style.maxHeight = `${menuHeight}px`;
+  }
+
+  // Get viewport coordinates of the caret in an editable element
+  function getCaretRect(element) {
+    if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+      return getInputCaretRect(element);
+    }
+    
+    const selection = window.getSelection();
+    if (selection.rangeCount > 0 && element.contains(selection.anchorNode)) {
+      const range = selection.getRangeAt(0).cloneRange();
+      range.collapse(false);
+      const rect = range.getClientRects()[0];
+      if (rect) {
+        return rect;
+      }
+    }
+    
+    // Empty lines have no client rects; fall back to the element itself
+    const elementRect = element.getBoundingClientRect();
+    return {
+      top: elementRect.top,
+      left: elementRect.left,
+      bottom: Math.min(elementRect.bottom, elementRect.top + 24)
+    };
+  }
+
+  // Measure the caret in inputs/textareas with an offscreen mirror element
+  function getInputCaretRect(element) {
+    const style = window.getComputedStyle(element);
+    const mirror = document.createElement('div');
+    const properties = [
+      'boxSizing', 'width', 'height', 'overflowX', 'overflowY',
+      'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+      'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+      'fontStyle', 'fontVariant', 'fontWeight', 'fontStretch', 'fontSize', 'fontFamily',
+      'lineHeight', 'textAlign', 'textTransform', 'textIndent', 'letterSpacing', 'wordSpacing', 'tabSize'
+    ];
+    
+    properties.forEach(property => {
+      mirror.style[property] = style[property];
+    });
+    
+    mirror.style.position = 'fixed';
+    mirror.style.top = '0';
+    mirror.style.left = '0';
+    mirror.style.visibility = 'hidden';
+    mirror.style.whiteSpace = element.tagName === 'INPUT' ? 'pre' : 'pre-wrap';
+    mirror.style.wordWrap = 'break-word';
+    
+    const caretPos = element.selectionEnd ?? element.value.length;
+    mirror.textContent = element.value.substring(0, caretPos);
+    
+    const marker = document.createElement('span');
+    marker.textContent = '​';
+    mirror.appendChild(marker);
+    document.body.appendChild(mirror);
+    
+    const elementRect = element.getBoundingClientRect();
+    const top = Math.min(elementRect.top + marker.offsetTop - element.scrollTop, elementRect.bottom);
+    const left = Math.min(elementRect.left + marker.offsetLeft - element.scrollLeft, elementRect.right);
+    const height = marker.offsetHeight || parseFloat(style.fontSize) || 16;
+    
+    mirror.remove();
+    
+    return { top, left, bottom: top + height };
+  }
+
+  // Save the selection of an element so it survives focus changes
+  function saveSelection(element) {
+    if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+      const end = element.selectionEnd ?? element.value.length;
+      return { start: element.selectionStart ?? end, end: end };
+    }
+    
+    const selection = window.getSelection();
+    const range = selection.rangeCount > 0 && element.contains(selection.anchorNode)
+      ? selection.getRangeAt(0).cloneRange()
+      : null;
+    
+    return { range: range, start: null, end: null };
+  }
+
+  // Restore focus and a saved selection
+  function restoreSelection(element, saved) {
+    if (!element || !element.isConnected) return;
+    
+    element.focus();
+    
+    if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+      element.setSelectionRange(saved.start, saved.end);
+    } else if (saved.range) {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(saved.range);
+    }
+  }
+
+  // Get the text covered by a saved selection
+  function getSelectedText(element, saved) {
+    if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+      return element.value.substring(saved.start, saved.end);
+    }
+    return saved.range ? saved.range.toString() : '';
+  }
+
+  // Show notification, optionally with an action button
+  function showNotification(message, type = 'info', options = {}) {
+    // Remove existing notification
+    const existing = document.querySelector('.prompt-expander-notification');
+    if (existing) {
+      existing.remove();
+    }
+    
+    const notification = document.createElement('div');
+    notification.className = `prompt-expander-notification ${type}`;
+    notification.textContent = message;
+    
+    if (options.action) {
+      const button = document.createElement('button');
+      button.className = 'notification-action';
+      button.textContent = options.action.label;
+      
+      // Keep focus (and the selection) in the field being edited
+      button.addEventListener('mousedown', (e) => e.preventDefault());
+      button.addEventListener('click', () => {
+        notification.remove();
+        options.action.onClick();
+      });
+      
+      notification.classList.add('has-action');
+      notification.appendChild(button);
+    }
+    
+    document.body.appendChild(notification);
+    
+    // Auto-remove after 3 seconds unless told otherwise
+    setTimeout(() => {
+      if (notification.parentNode) {
+        notification.remove();
+      }
+    }, options.duration || 3000);
+  }
+
+  // Escape special characters for use in a RegExp
+  function escapeRegex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Escape text for safe use in innerHTML
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+})();
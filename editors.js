@@ -0,0 +1,286 @@
+// PromptExpander Editor Adapters - Caret offsets and text insertion for inputs and rich editors
+
+(() => {
+  'use strict';
+
+  if (self.PromptExpanderEditors) {
+    return;
+  }
+
+  // Framework editors keep their own document model and re-render the DOM
+  // from it, so text has to reach them through events they handle rather
+  // than direct DOM edits. Multi-line text goes in as a paste where an
+  // editor would otherwise keep raw newlines in a single paragraph; Draft.js
+  // only reconciles pasted text reliably.
+  const EDITOR_ADAPTERS = [
+    { name: 'prosemirror', selector: '.ProseMirror', pasteText: 'multiline' },
+    { name: 'lexical', selector: '[data-lexical-editor="true"]', pasteText: 'multiline' },
+    { name: 'slate', selector: '[data-slate-editor="true"]', pasteText: 'multiline' },
+    { name: 'quill', selector: '.ql-editor', pasteText: 'multiline' },
+    { name: 'codemirror', selector: '.cm-content', pasteText: 'multiline' },
+    { name: 'draft', selector: '.public-DraftEditor-content', pasteText: 'always' }
+  ];
+  const GENERIC_ADAPTER = { name: 'contenteditable', pasteText: 'never' };
+
+  // Elements that start a new line in the text model of a contenteditable
+  const BLOCK_TAGS = [
+    'P', 'DIV', 'LI', 'PRE', 'BLOCKQUOTE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+    'TR', 'UL', 'OL', 'TABLE', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER'
+  ];
+
+  function isTextControl(element) {
+    return element.tagName === 'TEXTAREA' || element.tagName === 'INPUT';
+  }
+
+  // Find the adapter for an element's editor
+  function getAdapter(element) {
+    return EDITOR_ADAPTERS.find(adapter => element.closest(adapter.selector)) || GENERIC_ADAPTER;
+  }
+
+  // Whether edits land on the browser's own undo stack. Framework editors
+  // keep their own history, which execCommand('undo') does not reach.
+  function hasNativeHistory(element) {
+    return isTextControl(element) || getAdapter(element) === GENERIC_ADAPTER;
+  }
+
+  // Split a contenteditable element into text segments: its text nodes, plus
+  // a newline for each <br> and for each block that follows other text
+  function getSegments(element) {
+    const segments = [];
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT, null, false);
+    let text = '';
+    let node;
+    
+    while (node = walker.nextNode()) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        segments.push({ node: node, start: text.length, text: node.data });
+        text += node.data;
+      } else if (node.tagName === 'BR' || (BLOCK_TAGS.includes(node.tagName) && text && !text.endsWith('\n'))) {
+        segments.push({ node: node, start: text.length, text: '\n', block: node.tagName !== 'BR' });
+        text += '\n';
+      }
+    }
+    
+    return { segments: segments, text: text };
+  }
+
+  // Get the editable text of an element
+  function getText(element) {
+    return isTextControl(element) ? element.value : getSegments(element).text;
+  }
+
+  // Get the selection as offsets into the element's text; without a
+  // selection inside the element, both are at the end of its text
+  function getSelection(element) {
+    if (isTextControl(element)) {
+      const end = element.selectionEnd ?? element.value.length;
+      return { start: element.selectionStart ?? end, end: end };
+    }
+    
+    const model = getSegments(element);
+    const selection = window.getSelection();
+    if (!selection.rangeCount || !element.contains(selection.anchorNode)) {
+      return { start: model.text.length, end: model.text.length };
+    }
+    
+    const range = selection.getRangeAt(0);
+    return {
+      start: getPointOffset(model, range.startContainer, range.startOffset),
+      end: getPointOffset(model, range.endContainer, range.endOffset)
+    };
+  }
+
+  // Map a DOM point to an offset in the text model: the start of the first
+  // segment after the point. A caret at the very start of a block is past
+  // the newline that opens it.
+  function getPointOffset(model, container, offset) {
+    const point = document.createRange();
+    point.setStart(container, offset);
+    
+    for (const segment of model.segments) {
+      if (segment.node === container && segment.node.nodeType === Node.TEXT_NODE) {
+        return segment.start + offset;
+      }
+      if (point.comparePoint(segment.node, 0) > 0) {
+        return segment.start;
+      }
+    }
+    
+    return model.text.length;
+  }
+
+  // Map an offset in the text model to a DOM point
+  function locateOffset(element, model, position) {
+    for (const segment of model.segments) {
+      if (segment.node.nodeType === Node.TEXT_NODE) {
+        if (position <= segment.start + segment.text.length) {
+          return { node: segment.node, offset: Math.max(0, position - segment.start) };
+        }
+      } else if (position <= segment.start) {
+        return getPointBefore(segment.node);
+      }
+    }
+    
+    const last = model.segments[model.segments.length - 1];
+    if (!last) {
+      return { node: element, offset: 0 };
+    }
+    if (last.node.nodeType === Node.TEXT_NODE) {
+      return { node: last.node, offset: last.text.length };
+    }
+    if (last.block) {
+      return { node: last.node, offset: 0 };
+    }
+    
+    const point = getPointBefore(last.node);
+    return { node: point.node, offset: point.offset + 1 };
+  }
+
+  function getPointBefore(node) {
+    return { node: node.parentNode, offset: Array.prototype.indexOf.call(node.parentNode.childNodes, node) };
+  }
+
+  // Select a range of the element's text by offsets
+  function setSelection(element, start, end) {
+    element.focus();
+    
+    if (isTextControl(element)) {
+      element.setSelectionRange(start, end);
+      return;
+    }
+    
+    const model = getSegments(element);
+    const startPoint = locateOffset(element, model, start);
+    const endPoint = locateOffset(element, model, end);
+    const range = document.createRange();
+    range.setStart(startPoint.node, startPoint.offset);
+    range.setEnd(endPoint.node, endPoint.offset);
+    
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  // Replace a range of the element's text and leave the caret after it
+  async function replaceRange(element, start, end, text) {
+    if (start === end && !text) return;
+    
+    if (isTextControl(element)) {
+      replaceControlText(element, start, end, text);
+      return;
+    }
+    
+    setSelection(element, start, end);
+    await nextTask();
+    insertEditorText(element, getAdapter(element), text);
+    await nextTask();
+  }
+
+  // Replace a range of a textarea or input. execCommand keeps the browser's
+  // undo stack and fires the events frameworks listen for; setRangeText
+  // bypasses the value setter, so React still sees the change.
+  function replaceControlText(element, start, end, text) {
+    element.focus();
+    element.setSelectionRange(start, end);
+    
+    if (document.execCommand(text ? 'insertText' : 'delete', false, text)) return;
+    
+    element.setRangeText(text, start, end, 'end');
+    element.dispatchEvent(new InputEvent('input', {
+      inputType: text ? 'insertText' : 'deleteContent',
+      data: text || null,
+      bubbles: true
+    }));
+  }
+
+  // Insert text over the current selection of a contenteditable editor:
+  // a paste where the adapter asks for one, then a beforeinput event the
+  // editor can apply to its own model, then the browser's own insertion
+  function insertEditorText(element, adapter, text) {
+    const paste = adapter.pasteText === 'always' || (adapter.pasteText === 'multiline' && text.includes('\n'));
+    if (text && paste && dispatchPaste(element, { 'text/plain': text })) return;
+    
+    if (dispatchBeforeInput(element, text ? 'insertText' : 'deleteContent', text || null)) return;
+    
+    if (document.execCommand(text ? 'insertText' : 'delete', false, text)) return;
+    
+    // Last resort for pages where execCommand is unavailable
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return;
+    
+    const range = selection.getRangeAt(0);
+    range.deleteContents();
+    if (text) {
+      const node = document.createTextNode(text);
+      range.insertNode(node);
+      range.setStartAfter(node);
+    }
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    element.dispatchEvent(new InputEvent('input', { inputType: 'insertText', data: text || null, bubbles: true }));
+  }
+
+  // Insert HTML over a range of a contenteditable element. Rich editors
+  // (ProseMirror, Lexical, Slate, Gmail) take a paste event carrying both
+  // HTML and plain text; if none handles it, fall back to insertHTML.
+  async function insertHtml(element, start, end, html, text) {
+    setSelection(element, start, end);
+    await nextTask();
+    
+    if (!dispatchPaste(element, { 'text/html': html, 'text/plain': text }) &&
+        !document.execCommand('insertHTML', false, html)) {
+      insertEditorText(element, GENERIC_ADAPTER, text);
+    }
+    await nextTask();
+  }
+
+  // Dispatch a synthetic paste; true when the editor handled it
+  function dispatchPaste(element, data) {
+    const clipboardData = new DataTransfer();
+    Object.entries(data).forEach(([type, value]) => clipboardData.setData(type, value));
+    
+    const pasteEvent = new ClipboardEvent('paste', {
+      clipboardData: clipboardData,
+      bubbles: true,
+      cancelable: true
+    });
+    
+    return !element.dispatchEvent(pasteEvent);
+  }
+
+  // Dispatch a beforeinput event targeting the current selection; true when
+  // the editor applied it itself. Untrusted events have no default action,
+  // so an unhandled one changes nothing.
+  function dispatchBeforeInput(element, inputType, data) {
+    const selection = window.getSelection();
+    const targetRanges = selection.rangeCount ? [new StaticRange(selection.getRangeAt(0))] : [];
+    
+    const event = new InputEvent('beforeinput', {
+      inputType: inputType,
+      data: data,
+      targetRanges: targetRanges,
+      bubbles: true,
+      cancelable: true,
+      composed: true
+    });
+    
+    return !element.dispatchEvent(event);
+  }
+
+  // Editors such as Lexical and ProseMirror copy the DOM selection into their
+  // model on selectionchange, which fires asynchronously, and may re-render
+  // after handling an insertion; waiting a task lets both settle
+  function nextTask() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  self.PromptExpanderEditors = {
+    getText,
+    getSelection,
+    setSelection,
+    replaceRange,
+    insertHtml,
+    hasNativeHistory
+  };
+})();
@@ -225,168 +225,6 @@
     }
   };
 
-  // Page content analysis
-  window.promptExpanderAnalysis = {
-    // Analyze page for AI platform detection
-    detectAIPlatform() {
-      const url = window.location.href;
-      const indicators = {
-        'ChatGPT': ['chat.openai.com', 'openai.com/chat'],
-        'Claude': ['claude.ai', 'anthropic.com'],
-        'Bard': ['bard.google.com'],
-        'Bing Chat': ['bing.com/chat', 'bing.com/search'],
-        'Poe': ['poe.com'],
-        'Character.AI': ['character.ai', 'beta.character.ai'],
-        'Hugging Face': ['huggingface.co/chat'],
-        'Perplexity': ['perplexity.ai']
-      };
-      
-      for (const [platform, domains] of Object.entries(indicators)) {
-        if (domains.some(domain => url.includes(domain))) {
-          return platform;
-        }
-      }
-      
-      // Check for common AI chat interface patterns
-      const chatIndicators = [
-        'textarea[placeholder*="message"]',
-        'textarea[placeholder*="ask"]',
-        'textarea[placeholder*="chat"]',
-        'input[placeholder*="message"]',
-        'div[contenteditable="true"][role="textbox"]'
-      ];
-      
-      if (chatIndicators.some(selector => document.querySelector(selector))) {
-        return 'Generic AI Chat';
-      }
-      
-      return 'Unknown';
-    },
-
-    // Get page metadata
-    getPageMetadata() {
-      return {
-        title: document.title,
-        url: window.location.href,
-        domain: window.location.hostname,
-        charset: document.characterSet,
-        language: document.documentElement.lang || 'unknown',
-        viewport: document.querySelector('meta[name="viewport"]')?.content || 'unknown',
-        description: document.querySelector('meta[name="description"]')?.content || '',
-        keywords: document.querySelector('meta[name="keywords"]')?.content || '',
-        author: document.querySelector('meta[name="author"]')?.content || '',
-        wordCount: (document.body.textContent || '').split(/\s+/).length,
-        linkCount: document.querySelectorAll('a').length,
-        imageCount: document.querySelectorAll('img').length,
-        formCount: document.querySelectorAll('form').length,
-        headingCount: {
-          h1: document.querySelectorAll('h1').length,
-          h2: document.querySelectorAll('h2').length,
-          h3: document.querySelectorAll('h3').length,
-          h4: document.querySelectorAll('h4').length,
-          h5: document.querySelectorAll('h5').length,
-          h6: document.querySelectorAll('h6').length
-        }
-      };
-    },
-
-    // Extract main content from page
-    extractMainContent() {
-      // Try common content selectors
-      const contentSelectors = [
-        'main',
-        'article',
-        '.main-content',
-        '.content',
-        '#content',
-        '.post-content',
-        '.entry-content',
-        '[role="main"]'
-      ];
-      
-      for (const selector of contentSelectors) {
-        const element = document.querySelector(selector);
-        if (element) {
-          return element.textContent.trim();
-        }
-      }
-      
-      // Fallback to body content
-      return document.body.textContent.trim();
-    }
-  };
-
-  // Token estimation utilities
-  window.promptExpanderTokens = {
-    // Rough token estimation for different models
-    estimate(text, model = 'gpt') {
-      if (!text) return 0;
-      
-      // Different models have different tokenization
-      const multipliers = {
-        'gpt': 4, // ~4 characters per token for GPT models
-        'claude': 4.2, // Slightly different tokenization
-        'llama': 3.8,
-        'generic': 4
-      };
-      
-      const multiplier = multipliers[model] || multipliers.generic;
-      return Math.ceil(text.length / multiplier);
-    },
-
-    // More accurate estimation considering punctuation and special tokens
-    estimateAccurate(text, model = 'gpt') {
-      if (!text) return 0;
-      
-      // Count words, punctuation, and special characters
-      const words = text.split(/\s+/).length;
-      const punctuation = (text.match(/[.,!?;:'"()\[\]{}<>]/g) || []).length;
-      const numbers = (text.match(/\d+/g) || []).length;
-      const specialChars = (text.match(/[^\w\s.,!?;:'"()\[\]{}<>]/g) || []).length;
-      
-      // Base estimation
-      let tokens = Math.ceil(words * 0.75); // Most words are less than 1 token
-      
-      // Add tokens for punctuation and special characters
-      tokens += Math.ceil(punctuation * 0.3);
-      tokens += Math.ceil(numbers * 0.5);
-      tokens += Math.ceil(specialChars * 0.8);
-      
-      // Model-specific adjustments
-      const adjustments = {
-        'gpt': 1.0,
-        'claude': 1.1,
-        'llama': 0.9,
-        'generic': 1.0
-      };
-      
-      return Math.ceil(tokens * (adjustments[model] || 1.0));
-    },
-
-    // Check if text exceeds token limits
-    checkLimits(text, model = 'gpt') {
-      const tokens = this.estimateAccurate(text, model);
-      
-      const limits = {
-        'gpt': 4096,
-        'gpt-4': 8192,
-        'claude': 9000,
-        'claude-instant': 9000,
-        'generic': 4000
-      };
-      
-      const limit = limits[model] || limits.generic;
-      
-      return {
-        tokens,
-        limit,
-        percentage: (tokens / limit) * 100,
-        withinLimit: tokens <= limit,
-        remaining: limit - tokens
-      };
-    }
-  };
-
   // Performance monitoring
   window.promptExpanderPerf = {
     // Track expansion performance
@@ -608,14 +446,6 @@
         });
         break;
         
-      case 'analyzeToken':
-        const analysis = window.promptExpanderTokens.checkLimits(data.text, data.model);
-        window.promptExpanderBridge.sendToContentScript({
-          action: 'tokenAnalysis',
-          analysis: analysis
-        });
-        break;
-        
       case 'findInsertionPoint':
         const element = window.promptExpanderDOM.findInsertionPoint();
         window.promptExpanderBridge.sendToContentScript({
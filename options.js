@@ -0,0 +1,1286 @@
+// PromptExpander Options Script
+
+// Options state
+let state = {
+  snippets: {},
+  templates: {},
+  usage: {},
+  aiPlatforms: [],
+  editingSnippet: null,
+  editingTemplate: null,
+  migrationBackup: null
+};
+
+const SETTINGS_KEYS = [
+  'triggerPrefix',
+  'siteRules',
+  'aiPlatforms',
+  'tokenizer',
+  'contextLimits',
+  'tokenMeterEnabled',
+  'pageContentTokenLimit',
+  'excludedSelectors',
+  'omniboxEnabled',
+  'analyticsEnabled',
+  'clipboardHistoryEnabled',
+  'clipboardHistorySize',
+  'clipboardHistoryDays',
+  'sessionExpiryHours',
+  'dateLocale',
+  'timeZone'
+];
+
+const RESERVED_TRIGGERS = ['form'];
+const TRIGGER_PATTERN = /^[\w-]+$/;
+const RECENT_DAYS = 7;
+const CONTENT_SLOT_PATTERN = /\{\{\s*content\s*\}\}/;
+const TEMPLATE_VARIABLE_PATTERN = /^([A-Za-z_]\w*)\s*=\s*(.*)$/;
+const CONTEXT_LIMIT_PATTERN = /^([\w.:-]+)\s*=\s*(\d+)$/;
+const SNIPPET_REFERENCE_PATTERN = /\{\{\s*snippet:([\w-]+)\s*(?=[|}])/g;
+
+document.addEventListener('DOMContentLoaded', function() {
+  setupNavigation();
+  setupSnippetControls();
+  setupSnippetModal();
+  setupTemplateModal();
+  setupSettings();
+  loadOptionsData();
+});
+
+// Load all options data
+function loadOptionsData() {
+  chrome.runtime.sendMessage({
+    type: 'GET_STORAGE',
+    keys: ['snippets', 'templates', 'usage', ...SETTINGS_KEYS]
+  }, (data) => {
+    if (!data) {
+      showNotification('Could not load settings', 'error');
+      return;
+    }
+    
+    state.snippets = data.snippets || {};
+    state.templates = data.templates || {};
+    state.usage = data.usage || {};
+    state.aiPlatforms = data.aiPlatforms || [];
+    
+    renderSnippets();
+    renderTemplates();
+    renderSettings(data);
+    renderAnalytics();
+  });
+}
+
+// Persist data through the background script
+function saveToStorage(data) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({
+      type: 'SET_STORAGE',
+      data: data
+    }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        reject(new Error(chrome.runtime.lastError?.message || response?.error || 'Storage write failed'));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+// Setup section navigation
+function setupNavigation() {
+  document.querySelectorAll('.nav-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      showSection(button.dataset.section);
+    });
+  });
+  
+  // Allow deep links such as options.html#templates
+  const initialSection = window.location.hash.substring(1);
+  if (initialSection && document.getElementById(`${initialSection}-section`)) {
+    showSection(initialSection);
+  }
+}
+
+// Show an options section
+function showSection(section) {
+  document.querySelectorAll('.nav-btn').forEach(button => {
+    button.classList.toggle('active', button.dataset.section === section);
+  });
+  
+  document.querySelectorAll('.options-main .section').forEach(element => {
+    element.classList.toggle('active', element.id === `${section}-section`);
+  });
+  
+  if (section === 'analytics') {
+    renderAnalytics();
+  }
+  
+  history.replaceState(null, '', `#${section}`);
+}
+
+// Setup snippet search, filter and list actions
+function setupSnippetControls() {
+  document.getElementById('snippetSearch').addEventListener('input', renderSnippets);
+  document.getElementById('snippetFilter').addEventListener('change', renderSnippets);
+  
+  document.getElementById('addSnippetBtn').addEventListener('click', () => {
+    openSnippetModal(null);
+  });
+  
+  document.getElementById('snippetsList').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    
+    const key = button.closest('.item-card').dataset.key;
+    
+    switch (button.dataset.action) {
+      case 'edit':
+        openSnippetModal(key);
+        break;
+      case 'duplicate':
+        duplicateSnippet(key);
+        break;
+      case 'delete':
+        deleteSnippet(key);
+        break;
+      case 'favorite':
+        toggleFavorite(key);
+        break;
+    }
+  });
+  
+  document.getElementById('addTemplateBtn').addEventListener('click', () => {
+    openTemplateModal(null);
+  });
+  
+  document.getElementById('templatesList').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    
+    const key = button.closest('.item-card').dataset.key;
+    
+    switch (button.dataset.action) {
+      case 'edit':
+        openTemplateModal(key);
+        break;
+      case 'duplicate':
+        duplicateTemplate(key);
+        break;
+      case 'delete':
+        deleteTemplate(key);
+        break;
+    }
+  });
+}
+
+// Render snippets list
+function renderSnippets() {
+  const container = document.getElementById('snippetsList');
+  const query = document.getElementById('snippetSearch').value.trim().toLowerCase();
+  const filter = document.getElementById('snippetFilter').value;
+  
+  let entries = Object.entries(state.snippets);
+  
+  if (filter === 'favorites') {
+    entries = entries.filter(([, snippet]) => snippet.favorite);
+  } else if (filter === 'recent') {
+    const lastUsed = getLastUsedDates(RECENT_DAYS);
+    entries = entries
+      .filter(([key]) => lastUsed[key])
+      .sort(([a], [b]) => lastUsed[b] - lastUsed[a]);
+  }
+  
+  if (query) {
+    entries = entries.filter(([key, snippet]) => {
+      return PromptExpanderSiteRules.getSnippetTrigger(key, snippet).toLowerCase().includes(query) ||
+        (snippet.scopes || []).some(scope => scope.includes(query)) ||
+        (snippet.description || '').toLowerCase().includes(query) ||
+        (snippet.content || '').toLowerCase().includes(query);
+    });
+  }
+  
+  if (filter !== 'recent') {
+    entries.sort(([a, snippetA], [b, snippetB]) => {
+      return PromptExpanderSiteRules.getSnippetTrigger(a, snippetA).localeCompare(PromptExpanderSiteRules.getSnippetTrigger(b, snippetB)) ||
+        a.localeCompare(b);
+    });
+  }
+  
+  if (entries.length === 0) {
+    const message = Object.keys(state.snippets).length === 0
+      ? 'No snippets yet. Click "Add Snippet" to create one.'
+      : 'No snippets match the current search or filter.';
+    container.innerHTML = `<div class="empty-state">${message}</div>`;
+    return;
+  }
+  
+  const prefix = document.getElementById('triggerPrefix').value || ':';
+  
+  container.innerHTML = entries.map(([key, snippet]) => `
+    <div class="item-card" data-key="${escapeHtml(key)}">
+      <div class="card-header">
+        <div class="card-title">
+          <span class="snippet-key"${snippet.trigger ? ` title="Key: ${escapeHtml(key)}"` : ''}>${escapeHtml(prefix + PromptExpanderSiteRules.getSnippetTrigger(key, snippet))}</span>
+          ${(snippet.scopes || []).map(scope => `<span class="card-badge scope" title="Only expands on ${escapeHtml(scope)}">${escapeHtml(scope)}</span>`).join('')}
+          ${snippet.format === 'markdown' || snippet.format === 'html' ? `<span class="card-badge format">${snippet.format === 'html' ? 'HTML' : 'Markdown'}</span>` : ''}
+          ${snippet.form ? `<span class="card-badge" title="Opens a fill-in form with ${snippet.form.fields.length} field${snippet.form.fields.length === 1 ? '' : 's'}">Form</span>` : ''}
+          <span class="card-description">${escapeHtml(snippet.description || 'No description')}</span>
+        </div>
+        <div class="card-actions">
+          <button class="icon-action favorite${snippet.favorite ? ' active' : ''}" data-action="favorite" title="${snippet.favorite ? 'Remove from favorites' : 'Add to favorites'}">&#9733;</button>
+          <button class="icon-action" data-action="edit" title="Edit">Edit</button>
+          <button class="icon-action" data-action="duplicate" title="Duplicate">Duplicate</button>
+          <button class="icon-action danger" data-action="delete" title="Delete">Delete</button>
+        </div>
+      </div>
+      <pre class="card-content">${escapeHtml(truncate(snippet.content || '', 300))}</pre>
+    </div>
+  `).join('');
+}
+
+// Render templates list
+function renderTemplates() {
+  const container = document.getElementById('templatesList');
+  const entries = Object.entries(state.templates).sort(([a], [b]) => a.localeCompare(b));
+  
+  if (entries.length === 0) {
+    container.innerHTML = '<div class="empty-state">No templates yet. Click "Add Template" to create one.</div>';
+    return;
+  }
+  
+  container.innerHTML = entries.map(([key, template]) => `
+    <div class="item-card" data-key="${escapeHtml(key)}">
+      <div class="card-header">
+        <div class="card-title">
+          <span class="snippet-key">[template:${escapeHtml(key)}]</span>
+          <span class="card-description">${escapeHtml(template.name || key)}</span>
+        </div>
+        <div class="card-actions">
+          <button class="icon-action" data-action="edit" title="Edit">Edit</button>
+          <button class="icon-action" data-action="duplicate" title="Duplicate">Duplicate</button>
+          <button class="icon-action danger" data-action="delete" title="Delete">Delete</button>
+        </div>
+      </div>
+      <pre class="card-content">${(template.body || '').split(CONTENT_SLOT_PATTERN).map(part => escapeHtml(truncate(part, 200))).join('<span class="template-slot">…content…</span>')}</pre>
+    </div>
+  `).join('');
+}
+
+// Setup snippet modal
+function setupSnippetModal() {
+  const modal = document.getElementById('snippetModal');
+  
+  setupModalClose(modal, closeSnippetModal);
+  document.getElementById('cancelSnippet').addEventListener('click', closeSnippetModal);
+  document.getElementById('saveSnippet').addEventListener('click', saveSnippet);
+  
+  // Insert variable tags at the cursor
+  modal.querySelectorAll('.variable-tag').forEach(tag => {
+    tag.addEventListener('click', () => {
+      insertAtCursor(document.getElementById('snippetContent'), tag.dataset.var);
+      updateSnippetPreview();
+    });
+  });
+  
+  document.getElementById('snippetFormat').addEventListener('change', updateSnippetPreview);
+  document.getElementById('snippetContent').addEventListener('input', updateSnippetPreview);
+}
+
+// Show how a Markdown or HTML snippet will look in a rich editor
+function updateSnippetPreview() {
+  const format = document.getElementById('snippetFormat').value;
+  const group = document.getElementById('snippetPreviewGroup');
+  
+  group.hidden = format === 'text';
+  if (format === 'text') return;
+  
+  const rendered = PromptExpanderRichText.renderRichText(document.getElementById('snippetContent').value, format);
+  document.getElementById('snippetPreview').innerHTML = rendered.html;
+}
+
+// Open snippet modal for creating or editing
+function openSnippetModal(key) {
+  const snippet = key ? state.snippets[key] : null;
+  state.editingSnippet = key;
+  
+  document.getElementById('snippetModalTitle').textContent = key ? 'Edit Snippet' : 'Add Snippet';
+  document.getElementById('snippetKey').value = key ? PromptExpanderSiteRules.getSnippetTrigger(key, snippet) : '';
+  document.getElementById('snippetScopes').value = (snippet?.scopes || []).join(', ');
+  document.getElementById('snippetDescription').value = snippet?.description || '';
+  document.getElementById('snippetContent').value = snippet?.content || '';
+  document.getElementById('snippetFormat').value = snippet?.format || 'text';
+  updateSnippetPreview();
+  
+  openModal(document.getElementById('snippetModal'));
+  document.getElementById(key ? 'snippetContent' : 'snippetKey').focus();
+}
+
+// Close snippet modal
+function closeSnippetModal() {
+  state.editingSnippet = null;
+  closeModal(document.getElementById('snippetModal'));
+}
+
+// Validate and save snippet
+async function saveSnippet() {
+  const keyInput = document.getElementById('snippetKey');
+  const scopesInput = document.getElementById('snippetScopes');
+  const contentInput = document.getElementById('snippetContent');
+  const trigger = keyInput.value.trim();
+  const description = document.getElementById('snippetDescription').value.trim();
+  const content = contentInput.value;
+  const previousKey = state.editingSnippet;
+  
+  clearFieldErrors(document.getElementById('snippetModal'));
+  
+  // Triggers may repeat across snippets, so duplicates are checked by scope below
+  const keyError = validateKey(trigger, {}, previousKey, 'snippet');
+  if (keyError) {
+    setFieldError(keyInput, keyError);
+    return;
+  }
+  
+  const scopes = [];
+  for (const input of scopesInput.value.split(/[,\n]/).map(scope => scope.trim()).filter(Boolean)) {
+    const scope = PromptExpanderSiteRules.normalizeScope(input, PromptExpanderPlatforms.getPlatforms(state.aiPlatforms));
+    if (!scope) {
+      setFieldError(scopesInput, `Invalid domain, URL pattern or platform: ${input}`);
+      return;
+    }
+    if (!scopes.includes(scope)) {
+      scopes.push(scope);
+    }
+  }
+  scopes.sort();
+  
+  const conflict = Object.keys(state.snippets).find(other => {
+    return other !== previousKey &&
+      PromptExpanderSiteRules.getSnippetTrigger(other, state.snippets[other]) === trigger &&
+      (state.snippets[other].scopes || []).slice().sort().join() === scopes.join();
+  });
+  if (conflict) {
+    setFieldError(keyInput, scopes.length
+      ? `A snippet with trigger "${trigger}" already exists for these sites`
+      : `A snippet with key "${trigger}" already exists`);
+    return;
+  }
+  
+  if (!content.trim()) {
+    setFieldError(contentInput, 'Content is required');
+    return;
+  }
+  
+  const snippets = { ...state.snippets };
+  const existing = previousKey ? snippets[previousKey] : {};
+  const key = getSnippetKey(trigger, scopes, previousKey);
+  const renamed = previousKey && previousKey !== key;
+  
+  if (renamed) {
+    delete snippets[previousKey];
+  }
+  
+  snippets[key] = {
+    ...existing,
+    content: content,
+    description: description,
+    format: document.getElementById('snippetFormat').value,
+    updatedAt: Date.now()
+  };
+  
+  // The key doubles as the trigger unless another snippet already holds it
+  delete snippets[key].trigger;
+  delete snippets[key].scopes;
+  if (key !== trigger) {
+    snippets[key].trigger = trigger;
+  }
+  if (scopes.length > 0) {
+    snippets[key].scopes = scopes;
+  }
+  
+  const cycle = findSnippetCycle(key, renamed ? renameSnippetReferences(snippets, previousKey, key) : snippets);
+  if (cycle) {
+    setFieldError(contentInput, `Creates a reference cycle: ${cycle.join(' → ')}`);
+    return;
+  }
+  
+  const data = { snippets };
+  let updatedReferences = 0;
+  
+  // Keep {{snippet:...}} references pointing at the renamed snippet
+  if (renamed) {
+    data.snippets = renameSnippetReferences(snippets, previousKey, key);
+    data.templates = renameTemplateReferences(state.templates, previousKey, key);
+    updatedReferences = countChanged(snippets, data.snippets) + countChanged(state.templates, data.templates);
+  }
+  
+  try {
+    await saveToStorage(data);
+    state.snippets = data.snippets;
+    if (data.templates) {
+      state.templates = data.templates;
+      renderTemplates();
+    }
+    closeSnippetModal();
+    renderSnippets();
+    
+    if (updatedReferences) {
+      showNotification(`Snippet updated, ${updatedReferences} reference${updatedReferences === 1 ? '' : 's'} renamed`, 'success');
+    } else {
+      showNotification(previousKey ? 'Snippet updated' : 'Snippet created', 'success');
+    }
+  } catch (error) {
+    showNotification(`Failed to save snippet: ${error.message}`, 'error');
+  }
+}
+
+// Pick the storage key for a snippet. It stays put while the trigger does;
+// otherwise the trigger itself is used when free, or a key derived from the
+// trigger and its first scope.
+function getSnippetKey(trigger, scopes, previousKey) {
+  const snippets = { ...state.snippets };
+  
+  if (previousKey) {
+    if (PromptExpanderSiteRules.getSnippetTrigger(previousKey, snippets[previousKey]) === trigger) {
+      return previousKey;
+    }
+    delete snippets[previousKey];
+  }
+  
+  if (!snippets[trigger]) {
+    return trigger;
+  }
+  const suffix = scopes.length ? scopes[0].replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') : 'copy';
+  return getAvailableKey(`${trigger}-${suffix}`, snippets);
+}
+
+// Duplicate snippet under a free key; the copy is triggered by its new key
+async function duplicateSnippet(key) {
+  const newKey = getAvailableKey(`${key}_copy`, state.snippets);
+  const { trigger, ...snippet } = state.snippets[key];
+  const snippets = {
+    ...state.snippets,
+    [newKey]: { ...snippet, favorite: false, updatedAt: Date.now() }
+  };
+  
+  try {
+    await saveToStorage({ snippets });
+    state.snippets = snippets;
+    renderSnippets();
+    showNotification(`Duplicated as ${newKey}`, 'success');
+  } catch (error) {
+    showNotification(`Failed to duplicate snippet: ${error.message}`, 'error');
+  }
+}
+
+// Delete snippet after confirmation
+async function deleteSnippet(key) {
+  const referencedBy = Object.keys(state.snippets)
+    .filter(other => other !== key && getSnippetReferences(state.snippets[other].content).includes(key));
+  const warning = referencedBy.length
+    ? `\n\nIt is referenced by: ${referencedBy.join(', ')}`
+    : '';
+    
+  if (!confirm(`Delete snippet "${key}"? This cannot be undone.${warning}`)) return;
+  
+  const snippets = { ...state.snippets };
+  delete snippets[key];
+  
+  try {
+    await saveToStorage({ snippets });
+    state.snippets = snippets;
+    renderSnippets();
+    showNotification('Snippet deleted', 'success');
+  } catch (error) {
+    showNotification(`Failed to delete snippet: ${error.message}`, 'error');
+  }
+}
+
+// Toggle favorite flag
+async function toggleFavorite(key) {
+  const snippets = {
+    ...state.snippets,
+    [key]: { ...state.snippets[key], favorite: !state.snippets[key].favorite }
+  };
+  
+  try {
+    await saveToStorage({ snippets });
+    state.snippets = snippets;
+    renderSnippets();
+  } catch (error) {
+    showNotification(`Failed to update favorite: ${error.message}`, 'error');
+  }
+}
+
+// Setup template modal
+function setupTemplateModal() {
+  const modal = document.getElementById('templateModal');
+  
+  setupModalClose(modal, closeTemplateModal);
+  document.getElementById('cancelTemplate').addEventListener('click', closeTemplateModal);
+  document.getElementById('saveTemplate').addEventListener('click', saveTemplate);
+}
+
+// Open template modal for creating or editing
+function openTemplateModal(key) {
+  const template = key ? state.templates[key] : null;
+  state.editingTemplate = key;
+  
+  document.getElementById('templateModalTitle').textContent = key ? 'Edit Template' : 'Add Template';
+  document.getElementById('templateKey').value = key || '';
+  document.getElementById('templateName').value = template?.name || '';
+  document.getElementById('templateBody').value = template?.body || '';
+  document.getElementById('templateVariables').value = Object.entries(template?.variables || {})
+    .map(([name, value]) => `${name} = ${value}`)
+    .join('\n');
+  
+  openModal(document.getElementById('templateModal'));
+  document.getElementById(key ? 'templateName' : 'templateKey').focus();
+}
+
+// Close template modal
+function closeTemplateModal() {
+  state.editingTemplate = null;
+  closeModal(document.getElementById('templateModal'));
+}
+
+// Validate and save template
+async function saveTemplate() {
+  const keyInput = document.getElementById('templateKey');
+  const nameInput = document.getElementById('templateName');
+  const key = keyInput.value.trim();
+  const name = nameInput.value.trim();
+  const bodyInput = document.getElementById('templateBody');
+  const variablesInput = document.getElementById('templateVariables');
+  const body = bodyInput.value;
+  const previousKey = state.editingTemplate;
+  
+  clearFieldErrors(document.getElementById('templateModal'));
+  
+  const keyError = validateKey(key, state.templates, previousKey, 'template');
+  if (keyError) {
+    setFieldError(keyInput, keyError);
+    return;
+  }
+  
+  if (!name) {
+    setFieldError(nameInput, 'Name is required');
+    return;
+  }
+  
+  if (!CONTENT_SLOT_PATTERN.test(body)) {
+    setFieldError(bodyInput, 'Add a {{content}} slot for the wrapped text');
+    return;
+  }
+  
+  const variables = {};
+  for (const line of parseLines(variablesInput.value)) {
+    const match = line.match(TEMPLATE_VARIABLE_PATTERN);
+    if (!match) {
+      setFieldError(variablesInput, `Expected "name = value": ${line}`);
+      return;
+    }
+    variables[match[1]] = match[2];
+  }
+  
+  const templates = { ...state.templates };
+  const existing = previousKey ? templates[previousKey] : {};
+  
+  if (previousKey && previousKey !== key) {
+    delete templates[previousKey];
+  }
+  
+  templates[key] = { ...existing, name, body, variables, updatedAt: Date.now() };
+  
+  try {
+    await saveToStorage({ templates });
+    state.templates = templates;
+    closeTemplateModal();
+    renderTemplates();
+    showNotification(previousKey ? 'Template updated' : 'Template created', 'success');
+  } catch (error) {
+    showNotification(`Failed to save template: ${error.message}`, 'error');
+  }
+}
+
+// Duplicate template under a free key
+async function duplicateTemplate(key) {
+  const newKey = getAvailableKey(`${key}_copy`, state.templates);
+  const template = state.templates[key];
+  const templates = {
+    ...state.templates,
+    [newKey]: { ...template, name: `${template.name || key} (copy)`, updatedAt: Date.now() }
+  };
+  
+  try {
+    await saveToStorage({ templates });
+    state.templates = templates;
+    renderTemplates();
+    showNotification(`Duplicated as ${newKey}`, 'success');
+  } catch (error) {
+    showNotification(`Failed to duplicate template: ${error.message}`, 'error');
+  }
+}
+
+// Delete template after confirmation
+async function deleteTemplate(key) {
+  if (!confirm(`Delete template "${key}"? This cannot be undone.`)) return;
+  
+  const templates = { ...state.templates };
+  delete templates[key];
+  
+  try {
+    await saveToStorage({ templates });
+    state.templates = templates;
+    renderTemplates();
+    showNotification('Template deleted', 'success');
+  } catch (error) {
+    showNotification(`Failed to delete template: ${error.message}`, 'error');
+  }
+}
+
+// Validate a snippet or template key
+function validateKey(key, collection, previousKey, kind) {
+  if (!key) {
+    return 'Key is required';
+  }
+  if (!TRIGGER_PATTERN.test(key)) {
+    return 'Use only letters, numbers, underscores and hyphens';
+  }
+  if (kind === 'snippet' && RESERVED_TRIGGERS.includes(key)) {
+    return `"${key}" is reserved`;
+  }
+  if (key !== previousKey && collection[key]) {
+    return `A ${kind} with key "${key}" already exists`;
+  }
+  return null;
+}
+
+// List the snippet keys referenced with {{snippet:key}}
+function getSnippetReferences(text) {
+  return Array.from((text || '').matchAll(SNIPPET_REFERENCE_PATTERN), match => match[1]);
+}
+
+// Follow snippet references from a key and return the first cycle found
+function findSnippetCycle(startKey, snippets) {
+  const visit = (key, path) => {
+    if (path.includes(key)) {
+      return [...path.slice(path.indexOf(key)), key];
+    }
+    if (!snippets[key]) return null;
+    
+    for (const reference of getSnippetReferences(snippets[key].content)) {
+      const cycle = visit(reference, [...path, key]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+  
+  return visit(startKey, []);
+}
+
+// Rewrite {{snippet:oldKey}} references in a piece of text
+function replaceSnippetReference(text, oldKey, newKey) {
+  if (!text) return text;
+  const pattern = new RegExp(`(\\{\\{\\s*snippet:)${oldKey}(?=\\s*[|}])`, 'g');
+  return text.replace(pattern, `$1${newKey}`);
+}
+
+// Return a copy of the snippets with references to oldKey renamed
+function renameSnippetReferences(snippets, oldKey, newKey) {
+  const renamed = {};
+  
+  Object.entries(snippets).forEach(([key, snippet]) => {
+    const content = replaceSnippetReference(snippet.content, oldKey, newKey);
+    renamed[key] = content === snippet.content ? snippet : { ...snippet, content, updatedAt: Date.now() };
+  });
+  
+  return renamed;
+}
+
+// Return a copy of the templates with references to oldKey renamed
+function renameTemplateReferences(templates, oldKey, newKey) {
+  const renamed = {};
+  
+  Object.entries(templates).forEach(([key, template]) => {
+    const body = replaceSnippetReference(template.body, oldKey, newKey);
+    renamed[key] = body === template.body ? template : { ...template, body, updatedAt: Date.now() };
+  });
+  
+  return renamed;
+}
+
+// Count entries that were replaced in a copied collection
+function countChanged(original, updated) {
+  return Object.keys(updated).filter(key => original[key] && original[key] !== updated[key]).length;
+}
+
+// Find an unused key based on a preferred one
+function getAvailableKey(baseKey, collection) {
+  let key = baseKey;
+  let counter = 2;
+  
+  while (collection[key]) {
+    key = `${baseKey}${counter}`;
+    counter++;
+  }
+  
+  return key;
+}
+
+// Setup settings form
+function setupSettings() {
+  document.getElementById('saveBtn').addEventListener('click', saveSettings);
+  
+  // Offer every time zone the browser knows about
+  const timeZoneSelect = document.getElementById('timeZone');
+  const timeZones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  timeZones.forEach(timeZone => {
+    const option = document.createElement('option');
+    option.value = timeZone;
+    option.textContent = timeZone.replace(/_/g, ' ');
+    timeZoneSelect.appendChild(option);
+  });
+  
+  document.getElementById('dateLocale').addEventListener('input', updateDatePreview);
+  timeZoneSelect.addEventListener('change', updateDatePreview);
+  
+  document.getElementById('clearClipboardHistory').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'CLEAR_CLIPBOARD_HISTORY' }, () => {
+      showNotification('Clipboard history cleared', 'success');
+    });
+  });
+  
+  document.getElementById('restoreMigrationBackup').addEventListener('click', restoreMigrationBackup);
+  loadMigrationBackup();
+}
+
+// Show whether an update left a backup of the data it migrated
+function loadMigrationBackup() {
+  chrome.runtime.sendMessage({ type: 'GET_MIGRATION_BACKUP' }, (backup) => {
+    // A failed lookup leaves the restore button disabled
+    state.migrationBackup = backup && backup.success !== false ? backup : null;
+    if (!state.migrationBackup) return;
+    
+    const version = backup.extensionVersion ? ` from version ${backup.extensionVersion}` : '';
+    document.getElementById('migrationBackupInfo').textContent =
+      `Saved${version} when the extension updated on ${new Date(backup.timestamp).toLocaleString()}`;
+    document.getElementById('restoreMigrationBackup').disabled = false;
+  });
+}
+
+// Put back the data saved before the last update's migration
+function restoreMigrationBackup() {
+  const backup = state.migrationBackup;
+  if (!backup) return;
+  
+  const date = new Date(backup.timestamp).toLocaleString();
+  if (!confirm(`Restore the snippets, templates and settings saved before the update on ${date}? Everything changed since then will be lost.`)) return;
+  
+  chrome.runtime.sendMessage({ type: 'RESTORE_MIGRATION_BACKUP' }, (response) => {
+    if (!response || !response.success) {
+      showNotification(`Could not restore backup: ${response?.error || 'no response'}`, 'error');
+      return;
+    }
+    
+    loadOptionsData();
+    showNotification('Data restored from before the update', 'success');
+  });
+}
+
+// Show the current date and time with the chosen locale and time zone
+function updateDatePreview() {
+  const preview = document.getElementById('datePreview');
+  const locale = document.getElementById('dateLocale').value.trim();
+  const timeZone = document.getElementById('timeZone').value;
+  
+  try {
+    preview.textContent = new Date().toLocaleString(locale || undefined, {
+      dateStyle: 'full',
+      timeStyle: 'short',
+      timeZone: timeZone || undefined
+    });
+  } catch (e) {
+    preview.textContent = 'Invalid locale';
+  }
+}
+
+// Populate settings form
+function renderSettings(data) {
+  document.getElementById('triggerPrefix').value = data.triggerPrefix || ':';
+  renderSiteRules(data.siteRules || []);
+  renderAIPlatforms(data.aiPlatforms || []);
+  document.getElementById('tokenizer').value = data.tokenizer || 'auto';
+  renderContextLimits(data.contextLimits || {});
+  document.getElementById('pageContentTokenLimit').value = data.pageContentTokenLimit || 4000;
+  document.getElementById('excludedSelectors').value = (data.excludedSelectors || []).join('\n');
+  document.getElementById('omniboxEnabled').checked = data.omniboxEnabled !== false;
+  document.getElementById('tokenMeterEnabled').checked = data.tokenMeterEnabled !== false;
+  document.getElementById('analyticsEnabled').checked = data.analyticsEnabled !== false;
+  document.getElementById('clipboardHistoryEnabled').checked = data.clipboardHistoryEnabled === true;
+  document.getElementById('clipboardHistorySize').value = data.clipboardHistorySize || 20;
+  document.getElementById('clipboardHistoryDays').value = data.clipboardHistoryDays || 7;
+  document.getElementById('sessionExpiryHours').value = data.sessionExpiryHours || 24;
+  document.getElementById('dateLocale').value = data.dateLocale || '';
+  
+  // Keep a stored zone selectable even if this browser does not list it
+  const timeZoneSelect = document.getElementById('timeZone');
+  if (data.timeZone && !Array.from(timeZoneSelect.options).some(option => option.value === data.timeZone)) {
+    timeZoneSelect.add(new Option(data.timeZone, data.timeZone));
+  }
+  timeZoneSelect.value = data.timeZone || '';
+  updateDatePreview();
+  
+  // Trigger prefix is shown in the snippet list
+  renderSnippets();
+}
+
+// Show site rules split into disabled and enabled patterns
+function renderSiteRules(siteRules) {
+  document.getElementById('disabledSites').value = siteRules.filter(rule => !rule.enabled).map(rule => rule.pattern).join('\n');
+  document.getElementById('enabledSites').value = siteRules.filter(rule => rule.enabled).map(rule => rule.pattern).join('\n');
+}
+
+// Show the user's platform entries as JSON
+function renderAIPlatforms(aiPlatforms) {
+  document.getElementById('builtInPlatforms').textContent =
+    PromptExpanderPlatforms.BUILT_IN_PLATFORMS.map(platform => platform.id).join(', ');
+  document.getElementById('aiPlatforms').value = aiPlatforms.length ? JSON.stringify(aiPlatforms, null, 2) : '';
+}
+
+// Show the user's context limits, and the built-in ones they override
+function renderContextLimits(contextLimits) {
+  document.getElementById('defaultContextLimits').textContent = Object.entries(PromptExpanderPlatforms.DEFAULT_CONTEXT_LIMITS)
+    .map(([model, limit]) => `${model} ${limit.toLocaleString()}`)
+    .join(', ');
+  document.getElementById('contextLimits').value = Object.entries(contextLimits)
+    .map(([model, limit]) => `${model} = ${limit}`)
+    .join('\n');
+}
+
+// Parse and check the platform entries typed into the settings. Returns the
+// entries, or an error message.
+function parseAIPlatforms(text) {
+  let entries;
+  try {
+    entries = text.trim() ? JSON.parse(text) : [];
+  } catch (e) {
+    return { error: `Invalid JSON: ${e.message}` };
+  }
+  if (!Array.isArray(entries)) {
+    return { error: 'Enter a JSON list of platforms' };
+  }
+  
+  const aiPlatforms = [];
+  try {
+    entries.forEach(entry => {
+      const platform = PromptExpanderPlatforms.normalizePlatform(entry);
+      if (aiPlatforms.some(other => other.id === platform.id)) {
+        throw new Error(`Platform ${platform.id} is listed twice`);
+      }
+      ['inputSelector', 'submitSelector'].forEach(field => {
+        if (platform[field] && !isValidSelector(platform[field])) {
+          throw new Error(`Invalid CSS selector for ${platform.id}: ${platform[field]}`);
+        }
+      });
+      aiPlatforms.push(platform);
+    });
+  } catch (error) {
+    return { error: error.message };
+  }
+  
+  return { aiPlatforms };
+}
+
+// Validate and save settings
+async function saveSettings() {
+  const settingsSection = document.getElementById('settings-section');
+  const prefixInput = document.getElementById('triggerPrefix');
+  const disabledInput = document.getElementById('disabledSites');
+  const enabledInput = document.getElementById('enabledSites');
+  const selectorsInput = document.getElementById('excludedSelectors');
+  const platformsInput = document.getElementById('aiPlatforms');
+  const limitsInput = document.getElementById('contextLimits');
+  const pageLimitInput = document.getElementById('pageContentTokenLimit');
+  const historySizeInput = document.getElementById('clipboardHistorySize');
+  const historyDaysInput = document.getElementById('clipboardHistoryDays');
+  const sessionExpiryInput = document.getElementById('sessionExpiryHours');
+  
+  clearFieldErrors(settingsSection);
+  
+  const triggerPrefix = prefixInput.value;
+  if (!triggerPrefix || [...triggerPrefix].length > 3 || /[\s\w]/.test(triggerPrefix)) {
+    setFieldError(prefixInput, 'Use one to three symbol characters, e.g. ":" or ";;"');
+    showSection('settings');
+    return;
+  }
+  
+  const siteRules = [];
+  for (const [input, enabled] of [[disabledInput, false], [enabledInput, true]]) {
+    for (const line of parseLines(input.value)) {
+      const pattern = PromptExpanderSiteRules.normalizePattern(line);
+      if (!pattern) {
+        setFieldError(input, `Invalid domain or URL pattern: ${line}`);
+        showSection('settings');
+        return;
+      }
+      siteRules.push({ pattern, enabled });
+    }
+  }
+  
+  const excludedSelectors = parseLines(selectorsInput.value);
+  const invalidSelector = excludedSelectors.find(selector => !isValidSelector(selector));
+  if (invalidSelector) {
+    setFieldError(selectorsInput, `Invalid CSS selector: ${invalidSelector}`);
+    showSection('settings');
+    return;
+  }
+  
+  const { aiPlatforms, error: platformsError } = parseAIPlatforms(platformsInput.value);
+  if (platformsError) {
+    setFieldError(platformsInput, platformsError);
+    showSection('settings');
+    return;
+  }
+  
+  const contextLimits = {};
+  for (const line of parseLines(limitsInput.value)) {
+    const match = line.match(CONTEXT_LIMIT_PATTERN);
+    if (!match || Number(match[2]) === 0) {
+      setFieldError(limitsInput, `Use "model = tokens": ${line}`);
+      showSection('settings');
+      return;
+    }
+    contextLimits[match[1].toLowerCase()] = Number(match[2]);
+  }
+  
+  const pageContentTokenLimit = readCount(pageLimitInput);
+  if (!pageContentTokenLimit) {
+    setFieldError(pageLimitInput, 'Enter a whole number of tokens');
+    showSection('settings');
+    return;
+  }
+  
+  const clipboardHistorySize = readCount(historySizeInput, 100);
+  if (!clipboardHistorySize) {
+    setFieldError(historySizeInput, 'Keep between 1 and 100 entries');
+    showSection('settings');
+    return;
+  }
+  
+  const clipboardHistoryDays = readCount(historyDaysInput);
+  if (!clipboardHistoryDays) {
+    setFieldError(historyDaysInput, 'Enter a whole number of days');
+    showSection('settings');
+    return;
+  }
+  
+  const sessionExpiryHours = readCount(sessionExpiryInput);
+  if (!sessionExpiryHours) {
+    setFieldError(sessionExpiryInput, 'Enter a whole number of hours');
+    showSection('settings');
+    return;
+  }
+  
+  const localeInput = document.getElementById('dateLocale');
+  const dateLocale = localeInput.value.trim();
+  if (dateLocale && !isValidLocale(dateLocale)) {
+    setFieldError(localeInput, `Unsupported locale: ${dateLocale}`);
+    showSection('settings');
+    return;
+  }
+  
+  try {
+    await saveToStorage({
+      triggerPrefix,
+      siteRules,
+      aiPlatforms,
+      tokenizer: document.getElementById('tokenizer').value,
+      contextLimits,
+      pageContentTokenLimit,
+      tokenMeterEnabled: document.getElementById('tokenMeterEnabled').checked,
+      excludedSelectors,
+      omniboxEnabled: document.getElementById('omniboxEnabled').checked,
+      analyticsEnabled: document.getElementById('analyticsEnabled').checked,
+      clipboardHistoryEnabled: document.getElementById('clipboardHistoryEnabled').checked,
+      clipboardHistorySize,
+      clipboardHistoryDays,
+      sessionExpiryHours,
+      dateLocale,
+      timeZone: document.getElementById('timeZone').value
+    });
+    state.aiPlatforms = aiPlatforms;
+    renderSiteRules(siteRules);
+    renderAIPlatforms(aiPlatforms);
+    renderContextLimits(contextLimits);
+    renderSnippets();
+    renderAnalytics();
+    showNotification('Settings saved', 'success');
+  } catch (error) {
+    showNotification(`Failed to save settings: ${error.message}`, 'error');
+  }
+}
+
+// Check whether a CSS selector parses
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Check whether a BCP 47 locale tag is supported
+function isValidLocale(locale) {
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Read a whole number setting; null unless it is between 1 and max
+function readCount(input, max = Infinity) {
+  const value = Number(input.value);
+  return Number.isInteger(value) && value > 0 && value <= max ? value : null;
+}
+
+// Split textarea value into trimmed, non-empty lines
+function parseLines(value) {
+  return value.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+// Render analytics cards
+function renderAnalytics() {
+  renderTopSnippets();
+  renderDailyUsage();
+  renderPlatformStats();
+}
+
+// Render most used snippets
+function renderTopSnippets() {
+  const container = document.getElementById('topSnippets');
+  const totals = {};
+  
+  Object.values(state.usage).forEach(day => {
+    Object.entries(day).forEach(([key, entry]) => {
+      totals[key] = (totals[key] || 0) + (entry.count || 0);
+    });
+  });
+  
+  const top = Object.entries(totals).sort((a, b) => b[1] - a[1]).slice(0, 10);
+  
+  if (top.length === 0) {
+    container.innerHTML = '<div class="empty-state">No usage recorded yet</div>';
+    return;
+  }
+  
+  const max = top[0][1];
+  container.innerHTML = top.map(([key, count]) => `
+    <div class="analytics-row">
+      <span class="analytics-label">${escapeHtml(key)}${state.snippets[key] ? '' : ' <em>(deleted)</em>'}</span>
+      <div class="analytics-bar"><div class="analytics-bar-fill" style="width: ${(count / max) * 100}%"></div></div>
+      <span class="analytics-value">${count}</span>
+    </div>
+  `).join('');
+}
+
+// Render usage for the last 14 days
+function renderDailyUsage() {
+  const container = document.getElementById('dailyUsage');
+  const days = [];
+  
+  for (let i = 13; i >= 0; i--) {
+    const date = new Date();
+    date.setDate(date.getDate() - i);
+    const dayUsage = state.usage[date.toDateString()] || {};
+    const count = Object.values(dayUsage).reduce((sum, entry) => sum + (entry.count || 0), 0);
+    days.push({ date, count });
+  }
+  
+  const max = Math.max(...days.map(day => day.count));
+  
+  if (max === 0) {
+    container.innerHTML = '<div class="empty-state">No usage in the last 14 days</div>';
+    return;
+  }
+  
+  container.innerHTML = `
+    <div class="chart-bars">
+      ${days.map(day => `
+        <div class="chart-column" title="${day.date.toLocaleDateString()}: ${day.count} expansions">
+          <div class="chart-bar" style="height: ${(day.count / max) * 100}%"></div>
+          <span class="chart-label">${day.date.getDate()}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Render expansions per AI platform
+function renderPlatformStats() {
+  const container = document.getElementById('platformStats');
+  const platforms = {};
+  
+  Object.values(state.usage).forEach(day => {
+    Object.values(day).forEach(entry => {
+      const domains = entry.domains || [];
+      domains.forEach(domain => {
+        const platform = detectPlatformFromDomain(domain);
+        platforms[platform] = (platforms[platform] || 0) + 1;
+      });
+    });
+  });
+  
+  const entries = Object.entries(platforms).sort((a, b) => b[1] - a[1]);
+  
+  if (entries.length === 0) {
+    container.innerHTML = '<div class="empty-state">No usage recorded yet</div>';
+    return;
+  }
+  
+  const total = entries.reduce((sum, [, count]) => sum + count, 0);
+  container.innerHTML = entries.map(([platform, count]) => `
+    <div class="analytics-row">
+      <span class="analytics-label">${escapeHtml(platform)}</span>
+      <div class="analytics-bar"><div class="analytics-bar-fill" style="width: ${(count / total) * 100}%"></div></div>
+      <span class="analytics-value">${Math.round((count / total) * 100)}%</span>
+    </div>
+  `).join('');
+}
+
+// Map a domain to an AI platform name. Usage is recorded per domain, so
+// platforms matched only by URL path count as "Other".
+function detectPlatformFromDomain(domain) {
+  const platform = PromptExpanderPlatforms.findPlatform(PromptExpanderPlatforms.getPlatforms(state.aiPlatforms), `https://${domain}/`);
+  return platform ? platform.name : 'Other';
+}
+
+// Collect last-used timestamps per snippet within a window of days
+function getLastUsedDates(days) {
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const lastUsed = {};
+  
+  Object.entries(state.usage).forEach(([day, entries]) => {
+    const time = new Date(day).getTime();
+    if (isNaN(time) || time < cutoff) return;
+    
+    Object.keys(entries).forEach(key => {
+      lastUsed[key] = Math.max(lastUsed[key] || 0, time);
+    });
+  });
+  
+  return lastUsed;
+}
+
+// Modal helpers
+function openModal(modal) {
+  modal.classList.add('active');
+}
+
+function closeModal(modal) {
+  modal.classList.remove('active');
+  clearFieldErrors(modal);
+}
+
+function setupModalClose(modal, onClose) {
+  modal.querySelector('.close-btn').addEventListener('click', onClose);
+  modal.querySelector('.modal-backdrop').addEventListener('click', onClose);
+  modal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      onClose();
+    }
+  });
+}
+
+// Field validation helpers
+function setFieldError(input, message) {
+  input.classList.add('error');
+  
+  const error = document.createElement('div');
+  error.className = 'field-error';
+  error.textContent = message;
+  input.insertAdjacentElement('afterend', error);
+  input.focus();
+}
+
+function clearFieldErrors(container) {
+  container.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
+  container.querySelectorAll('.field-error').forEach(error => error.remove());
+}
+
+// Insert text at the cursor of a textarea
+function insertAtCursor(textarea, text) {
+  const start = textarea.selectionStart;
+  const end = textarea.selectionEnd;
+  
+  textarea.value = textarea.value.substring(0, start) + text + textarea.value.substring(end);
+  textarea.selectionStart = textarea.selectionEnd = start + text.length;
+  textarea.focus();
+}
+
+// Truncate long text for list previews
+function truncate(text, length) {
+  return text.length > length ? `${text.substring(0, length)}…` : text;
+}
+
+// Escape text for safe use in innerHTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Show notification
+function showNotification(message, type = 'info') {
+  // Remove existing notification
+  const existing = document.querySelector('.options-notification');
+  if (existing) {
+    existing.remove();
+  }
+  
+  const notification = document.createElement('div');
+  notification.className = `options-notification ${type}`;
+  notification.textContent = message;
+  
+  document.body.appendChild(notification);
+  
+  // Auto-remove after 3 seconds
+  setTimeout(() => {
+    if (notification.parentNode) {
+      notification.remove();
+    }
+  }, 3000);
+}
+
+// Handle storage changes made elsewhere (popup, other options tabs)
+chrome.storage.onChanged.addListener((changes) => {
+  if (changes.snippets) {
+    state.snippets = changes.snippets.newValue || {};
+    renderSnippets();
+  }
+  
+  if (changes.templates) {
+    state.templates = changes.templates.newValue || {};
+    renderTemplates();
+  }
+  
+  if (changes.usage) {
+    state.usage = changes.usage.newValue || {};
+    renderAnalytics();
+  }
+  
+  // Rules toggled from the popup
+  if (changes.siteRules) {
+    renderSiteRules(changes.siteRules.newValue || []);
+  }
+  
+  if (changes.aiPlatforms) {
+    state.aiPlatforms = changes.aiPlatforms.newValue || [];
+    renderAIPlatforms(state.aiPlatforms);
+    renderAnalytics();
+  }
+});
@@ -0,0 +1,263 @@
+// PromptExpander Page Content - Main text, metadata, headings, links and selection of the page for snippet variables
+
+(() => {
+  'use strict';
+
+  if (self.PromptExpanderPageContent) {
+    return;
+  }
+
+  // Main text is found the way reader modes find it: paragraphs score their
+  // parent and grandparent by length and commas, class names and ids nudge
+  // the scores, and the best-scoring block, discounted by how much of it is
+  // link text, wins. Navigation, sidebars, footers, comments and ads are
+  // left out along the way.
+  const UNLIKELY_CANDIDATES = /-ad-|ad-break|agegate|banner|breadcrumb|combx|comment|community|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|newsletter|pager|pagination|popup|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|yom-remote/i;
+  const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+  const POSITIVE_NAMES = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+  const NEGATIVE_NAMES = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+  const BOILERPLATE_TAGS = ['NAV', 'ASIDE', 'FOOTER', 'HEADER', 'FORM', 'DIALOG', 'MENU'];
+  const BOILERPLATE_ROLES = ['navigation', 'complementary', 'contentinfo', 'banner', 'dialog', 'alertdialog', 'search'];
+  const BLOCK_CHILDREN = 'p, div, pre, table, ul, ol, blockquote, section, article, h1, h2, h3, h4, h5, h6';
+
+  // Paragraphs shorter than this do not count towards their parents
+  const MIN_PARAGRAPH_LENGTH = 25;
+
+  const MAX_LINKS = 200;
+
+  // A selection inside one of these keeps it around the selected part
+  const STRUCTURE_SELECTOR = 'pre, table, ul, ol, blockquote, h1, h2, h3, h4, h5, h6';
+
+  // Whether an element is page furniture rather than content
+  function isBoilerplate(element) {
+    if (BOILERPLATE_TAGS.includes(element.tagName) || BOILERPLATE_ROLES.includes(element.getAttribute('role'))) {
+      // A header inside the article holds its title, not site navigation
+      return !(element.tagName === 'HEADER' && element.parentElement && element.parentElement.closest('article'));
+    }
+    if (element.hidden || element.getAttribute('aria-hidden') === 'true' || (element.style && element.style.display === 'none')) {
+      return true;
+    }
+    if (element.tagName === 'BODY' || element.tagName === 'A' || element.closest('table, pre, code')) {
+      return false;
+    }
+    
+    const names = `${element.getAttribute('class') || ''} ${element.id}`;
+    return UNLIKELY_CANDIDATES.test(names) && !MAYBE_CANDIDATE.test(names);
+  }
+
+  function isInBoilerplate(element) {
+    for (let node = element; node && node !== document.documentElement; node = node.parentElement) {
+      if (isBoilerplate(node)) return true;
+    }
+    return false;
+  }
+
+  // Starting score of a candidate block from its tag, class and id
+  function getInitialScore(element) {
+    const tagScores = {
+      DIV: 5, ARTICLE: 5, PRE: 3, TD: 3, BLOCKQUOTE: 3,
+      ADDRESS: -3, OL: -3, UL: -3, DL: -3, DD: -3, DT: -3, LI: -3, FORM: -3,
+      H1: -5, H2: -5, H3: -5, H4: -5, H5: -5, H6: -5, TH: -5
+    };
+    let score = tagScores[element.tagName] || 0;
+    
+    [element.getAttribute('class') || '', element.id].forEach(name => {
+      if (!name) return;
+      if (NEGATIVE_NAMES.test(name)) score -= 25;
+      if (POSITIVE_NAMES.test(name)) score += 25;
+    });
+    
+    return score;
+  }
+
+  // Share of an element's text that is link text
+  function getLinkDensity(element) {
+    const length = element.textContent.trim().length;
+    if (!length) return 0;
+    
+    const linkLength = Array.from(element.querySelectorAll('a'))
+      .reduce((sum, link) => sum + link.textContent.trim().length, 0);
+    return linkLength / length;
+  }
+
+  // Find the elements holding the page's main content, in page order
+  function findMainContent() {
+    const candidates = new Map();
+    const paragraphs = Array.from(document.body.querySelectorAll('p, pre, td, blockquote, div'))
+      .filter(element => element.tagName !== 'DIV' || !element.querySelector(BLOCK_CHILDREN));
+    
+    paragraphs.forEach(paragraph => {
+      const text = paragraph.textContent.trim();
+      if (text.length < MIN_PARAGRAPH_LENGTH || isInBoilerplate(paragraph)) return;
+      
+      const commas = text.split(',').length - 1;
+      const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+      let ancestor = paragraph.parentElement;
+      
+      // The parent gets the full score, the grandparent half and the
+      // level above that a sixth
+      const dividers = [1, 2, 6];
+      for (let level = 0; level < 3 && ancestor && ancestor !== document.documentElement; level++) {
+        if (!candidates.has(ancestor)) {
+          candidates.set(ancestor, getInitialScore(ancestor));
+        }
+        candidates.set(ancestor, candidates.get(ancestor) + score / dividers[level]);
+        ancestor = ancestor.parentElement;
+      }
+    });
+    
+    let top = null;
+    let topScore = 0;
+    candidates.forEach((score, element) => {
+      const adjusted = score * (1 - getLinkDensity(element));
+      if (adjusted > topScore) {
+        top = element;
+        topScore = adjusted;
+      }
+    });
+    
+    if (!top) {
+      return [document.querySelector('article, main, [role="main"]') || document.body];
+    }
+    if (!top.parentElement || top === document.body) {
+      return [top];
+    }
+    
+    // Siblings that score well, or read like prose, belong to the article
+    // too, e.g. when its paragraphs are split over several blocks
+    const threshold = Math.max(10, topScore * 0.2);
+    return Array.from(top.parentElement.children).filter(sibling => {
+      if (sibling === top) return true;
+      if (isBoilerplate(sibling)) return false;
+      if (candidates.has(sibling) && candidates.get(sibling) * (1 - getLinkDensity(sibling)) >= threshold) {
+        return true;
+      }
+      if (sibling.tagName !== 'P') return false;
+      
+      const text = sibling.textContent.trim();
+      const density = getLinkDensity(sibling);
+      return (text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+    });
+  }
+
+  // The page's main content as Markdown
+  function getMainContent() {
+    const parts = findMainContent();
+    const skip = element => !parts.includes(element) && isBoilerplate(element);
+    return parts
+      .map(element => PromptExpanderRichText.domToMarkdown(element, { skip: skip, images: false }))
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  // Every <meta> name or property with its content ("description",
+  // "og:title", "article:published_time", ...), plus the page's language
+  // and canonical URL
+  function getMetadata() {
+    const metadata = {};
+    
+    document.querySelectorAll('meta[name][content], meta[property][content]').forEach(meta => {
+      const name = (meta.getAttribute('name') || meta.getAttribute('property')).trim().toLowerCase();
+      const content = meta.getAttribute('content').trim();
+      if (name && content && !(name in metadata)) {
+        metadata[name] = content;
+      }
+    });
+    
+    // Open Graph and article tags stand in for missing plain ones
+    const fallbacks = {
+      description: ['og:description', 'twitter:description'],
+      title: ['og:title', 'twitter:title'],
+      author: ['article:author'],
+      published: ['article:published_time']
+    };
+    Object.entries(fallbacks).forEach(([name, sources]) => {
+      const source = sources.find(candidate => metadata[candidate]);
+      if (!metadata[name] && source) {
+        metadata[name] = metadata[source];
+      }
+    });
+    
+    if (document.documentElement.lang) {
+      metadata.language = document.documentElement.lang;
+    }
+    const canonical = document.querySelector('link[rel="canonical"][href]');
+    if (canonical) {
+      metadata.canonical = canonical.href;
+    }
+    
+    return metadata;
+  }
+
+  // Outline of the page's headings as a nested Markdown list
+  function getHeadings() {
+    const headings = Array.from(document.body.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+      .filter(heading => heading.textContent.trim() && !isInBoilerplate(heading))
+      .map(heading => ({ level: Number(heading.tagName[1]), text: heading.textContent.replace(/\s+/g, ' ').trim() }));
+    if (!headings.length) return '';
+    
+    const topLevel = Math.min(...headings.map(heading => heading.level));
+    return headings
+      .map(heading => `${'  '.repeat(heading.level - topLevel)}- ${heading.text}`)
+      .join('\n');
+  }
+
+  // Links in the page's content as a Markdown list, once per URL
+  function getLinks() {
+    const seen = new Set();
+    const links = [];
+    
+    for (const link of document.body.querySelectorAll('a[href]')) {
+      const url = link.href.split('#')[0];
+      const text = link.textContent.replace(/\s+/g, ' ').trim();
+      if (!/^https?:/i.test(url) || !text || seen.has(url) || isInBoilerplate(link)) continue;
+      
+      seen.add(url);
+      links.push(`- [${text.replace(/[[\]]/g, '\\$&')}](${url.replace(/\(/g, '%28').replace(/\)/g, '%29')})`);
+      if (links.length >= MAX_LINKS) break;
+    }
+    
+    return links.join('\n');
+  }
+
+  // The selection as Markdown. Only the selected part of a code block,
+  // table or list is copied, so the elements around it are rebuilt to keep
+  // its fence, language, header row or list markers.
+  function getSelectionMarkdown() {
+    const selection = window.getSelection();
+    const parts = [];
+    
+    for (let i = 0; i < selection.rangeCount; i++) {
+      const range = selection.getRangeAt(i);
+      if (range.collapsed) continue;
+      
+      let content = range.cloneContents();
+      const common = range.commonAncestorContainer;
+      let element = common.nodeType === Node.ELEMENT_NODE ? common : common.parentElement;
+      const structure = element && element.closest(STRUCTURE_SELECTOR);
+      
+      if (structure) {
+        // Highlighters put the language on the code block's wrapper
+        const outermost = structure.tagName === 'PRE' && structure.parentElement ? structure.parentElement : structure;
+        for (; element; element = element.parentElement) {
+          const wrapper = element.cloneNode(false);
+          wrapper.append(content);
+          content = wrapper;
+          if (element === outermost) break;
+        }
+      }
+      
+      parts.push(PromptExpanderRichText.domToMarkdown(content));
+    }
+    
+    return parts.filter(Boolean).join('\n\n');
+  }
+
+  self.PromptExpanderPageContent = {
+    getMainContent,
+    getMetadata,
+    getHeadings,
+    getLinks,
+    getSelectionMarkdown
+  };
+})();
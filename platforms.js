@@ -0,0 +1,208 @@
+// PromptExpander Platforms - Registry of AI chat platforms shared by every extension page
+
+(() => {
+  'use strict';
+
+  if (self.PromptExpanderPlatforms) {
+    return;
+  }
+
+  // Patterns use the site rule syntax: domains ("*.example.com" includes
+  // subdomains) or URL patterns with * wildcards. The selectors find the
+  // prompt box and its send button; the default model is the one a new
+  // chat starts with.
+  const BUILT_IN_PLATFORMS = [
+    {
+      id: 'chatgpt',
+      name: 'ChatGPT',
+      patterns: ['*.chatgpt.com', 'chat.openai.com'],
+      inputSelector: '#prompt-textarea',
+      submitSelector: 'button[data-testid="send-button"]',
+      defaultModel: 'gpt-4o'
+    },
+    {
+      id: 'claude',
+      name: 'Claude',
+      patterns: ['claude.ai'],
+      inputSelector: 'div.ProseMirror[contenteditable="true"]',
+      submitSelector: 'button[aria-label="Send message"]',
+      defaultModel: 'claude-sonnet-4'
+    },
+    {
+      id: 'gemini',
+      name: 'Gemini',
+      patterns: ['gemini.google.com'],
+      inputSelector: 'rich-textarea .ql-editor',
+      submitSelector: 'button.send-button',
+      defaultModel: 'gemini-2.5-flash'
+    },
+    {
+      id: 'copilot',
+      name: 'Copilot',
+      patterns: ['copilot.microsoft.com', '*.bing.com/chat*'],
+      inputSelector: '#userInput',
+      submitSelector: 'button[aria-label="Submit message"]',
+      defaultModel: 'gpt-4o'
+    },
+    {
+      id: 'poe',
+      name: 'Poe',
+      patterns: ['poe.com'],
+      inputSelector: 'textarea[class*="GrowingTextArea"]',
+      submitSelector: 'button[class*="SendButton"]',
+      defaultModel: 'gpt-4o'
+    },
+    {
+      id: 'perplexity',
+      name: 'Perplexity',
+      patterns: ['*.perplexity.ai'],
+      inputSelector: '#ask-input, textarea[placeholder*="Ask"]',
+      submitSelector: 'button[aria-label="Submit"]',
+      defaultModel: 'sonar'
+    },
+    {
+      id: 'characterai',
+      name: 'Character.AI',
+      patterns: ['*.character.ai'],
+      inputSelector: 'textarea',
+      submitSelector: 'button[aria-label="Send a message..."]',
+      defaultModel: ''
+    },
+    {
+      id: 'huggingchat',
+      name: 'HuggingChat',
+      patterns: ['huggingface.co/chat*'],
+      inputSelector: 'textarea[placeholder*="Ask"]',
+      submitSelector: 'button[type="submit"]',
+      defaultModel: ''
+    }
+  ];
+
+  // Context windows in tokens. A model name covers every model whose name
+  // starts with it; the longest match wins.
+  const DEFAULT_CONTEXT_LIMITS = {
+    'gpt-3.5': 16385,
+    'gpt-4': 8192,
+    'gpt-4-turbo': 128000,
+    'gpt-4o': 128000,
+    'gpt-4.1': 1047576,
+    'gpt-5': 400000,
+    'o1': 200000,
+    'o3': 200000,
+    'o4': 200000,
+    'claude': 200000,
+    'gemini': 1048576,
+    'sonar': 127072
+  };
+
+  const PLATFORM_ID = /^[\w-]+$/;
+  const TEXT_FIELDS = ['name', 'inputSelector', 'submitSelector', 'defaultModel'];
+
+  // The registry with the user's entries applied. An entry whose id is
+  // built in overrides the fields it sets; other entries are added, and
+  // are matched before the built-in ones.
+  function getPlatforms(customPlatforms) {
+    const custom = customPlatforms || [];
+    const builtIn = BUILT_IN_PLATFORMS.map(platform => {
+      const override = custom.find(entry => entry.id === platform.id);
+      return { ...platform, ...override, builtIn: true };
+    });
+    const added = custom
+      .filter(entry => !BUILT_IN_PLATFORMS.some(platform => platform.id === entry.id))
+      .map(entry => ({
+        name: entry.id,
+        patterns: [],
+        inputSelector: '',
+        submitSelector: '',
+        defaultModel: '',
+        ...entry,
+        builtIn: false
+      }));
+    
+    return [...added, ...builtIn];
+  }
+
+  // Context window of a model, with the user's limits taking precedence;
+  // null when the model is unknown
+  function getContextLimit(model, customLimits) {
+    const name = String(model || '').toLowerCase();
+    if (!name) return null;
+    
+    const limits = { ...DEFAULT_CONTEXT_LIMITS, ...customLimits };
+    const match = Object.keys(limits)
+      .filter(prefix => name.startsWith(prefix.toLowerCase()))
+      .sort((a, b) => b.length - a.length)[0];
+    return match ? limits[match] : null;
+  }
+
+  // Find the platform serving a URL, or null
+  function findPlatform(platforms, url) {
+    let target;
+    try {
+      target = typeof url === 'string' ? new URL(url) : url;
+    } catch (e) {
+      return null;
+    }
+    
+    return platforms.find(platform => {
+      return platform.patterns.some(pattern => PromptExpanderSiteRules.matchesPattern(pattern, target));
+    }) || null;
+  }
+
+  // Clean up a user entry as entered in the options page. Only the fields
+  // it sets are kept, so an override leaves the rest built in. Throws when
+  // the entry is not valid.
+  function normalizePlatform(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error('Each platform must be an object');
+    }
+    
+    const id = String(entry.id || '').trim().toLowerCase();
+    if (!PLATFORM_ID.test(id)) {
+      throw new Error(`Invalid platform id "${entry.id || ''}": use letters, numbers, underscores and hyphens`);
+    }
+    
+    const platform = { id: id };
+    const builtIn = BUILT_IN_PLATFORMS.some(candidate => candidate.id === id);
+    
+    if (entry.patterns !== undefined) {
+      const patterns = Array.isArray(entry.patterns) ? entry.patterns : [entry.patterns];
+      platform.patterns = patterns.map(input => {
+        const pattern = PromptExpanderSiteRules.normalizePattern(input);
+        if (!pattern) {
+          throw new Error(`Invalid domain or URL pattern for ${id}: ${input}`);
+        }
+        return pattern;
+      });
+    } else if (!builtIn) {
+      throw new Error(`Platform ${id} needs at least one pattern`);
+    }
+    
+    TEXT_FIELDS.forEach(field => {
+      if (entry[field] !== undefined) {
+        platform[field] = String(entry[field]).trim();
+      }
+    });
+    
+    // Most tokens a single expansion may add; defaults to the model's
+    // context window
+    if (entry.tokenBudget !== undefined) {
+      const budget = Number(entry.tokenBudget);
+      if (!Number.isInteger(budget) || budget <= 0) {
+        throw new Error(`Invalid token budget for ${id}: ${entry.tokenBudget}`);
+      }
+      platform.tokenBudget = budget;
+    }
+    
+    return platform;
+  }
+
+  self.PromptExpanderPlatforms = {
+    BUILT_IN_PLATFORMS,
+    DEFAULT_CONTEXT_LIMITS,
+    getPlatforms,
+    getContextLimit,
+    findPlatform,
+    normalizePlatform
+  };
+})();
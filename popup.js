@@ -1,5 +1,18 @@
 // PromptExpander Popup Script
 
+// Current tab and the settings behind the per-site switch
+const siteState = {
+  url: null,
+  enabled: true,
+  siteRules: []
+};
+
+// Session values kept for the current tab's site
+const sessionState = {
+  domain: null,
+  values: {}
+};
+
 document.addEventListener('DOMContentLoaded', function() {
   // Initialize popup
   initializePopup();
@@ -13,7 +26,6 @@ function initializePopup() {
   
   // Set initial states
   updateStatusIndicator();
-  detectAIPlatform();
 }
 
 // Load data for popup
@@ -25,6 +37,9 @@ async function loadPopupData() {
     // Update domain info
     const domain = new URL(tab.url).hostname;
     document.getElementById('currentDomain').textContent = domain;
+    siteState.url = tab.url;
+    updateSiteScopes(new URL(tab.url));
+    loadSessionValues(new URL(tab.url));
     
     // Get page info from content script
     chrome.tabs.sendMessage(tab.id, { type: 'GET_PAGE_INFO' }, (response) => {
@@ -36,9 +51,11 @@ async function loadPopupData() {
     // Load configuration and stats
     chrome.runtime.sendMessage({
       type: 'GET_STORAGE',
-      keys: ['enabled', 'snippets', 'templates', 'usage']
+      keys: ['enabled', 'siteRules', 'aiPlatforms', 'snippets', 'templates', 'usage']
     }, (data) => {
       if (data) {
+        siteState.siteRules = data.siteRules || [];
+        detectAIPlatform(data.aiPlatforms);
         updateToggleState(data.enabled !== false);
         updateStats(data);
         updateRecentSnippets(data.snippets);
@@ -61,11 +78,49 @@ function setupEventListeners() {
       type: 'SET_STORAGE',
       data: { enabled: enabled }
     }, () => {
+      siteState.enabled = enabled;
       updateStatusIndicator(enabled);
       showNotification(enabled ? 'PromptExpander enabled' : 'PromptExpander disabled');
     });
   });
   
+  // Per-site switch: adds or removes a rule for the chosen scope
+  const siteToggle = document.getElementById('siteToggle');
+  siteToggle.addEventListener('change', (e) => {
+    const enabled = e.target.checked;
+    const pattern = document.getElementById('siteScope').value;
+    const siteRules = PromptExpanderSiteRules.setSiteRule(siteState.siteRules, pattern, enabled, siteState.url);
+    
+    chrome.runtime.sendMessage({
+      type: 'SET_STORAGE',
+      data: { siteRules: siteRules }
+    }, (response) => {
+      if (!response || !response.success) {
+        siteToggle.checked = !enabled;
+        showNotification('Could not update site rules', 'error');
+        return;
+      }
+      
+      siteState.siteRules = siteRules;
+      updateSiteToggle();
+      showNotification(enabled ? `Enabled on ${pattern}` : `Disabled on ${pattern}`);
+    });
+  });
+  
+  // Set a session value for the current site
+  document.getElementById('sessionForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const keyInput = document.getElementById('sessionKey');
+    const valueInput = document.getElementById('sessionValue');
+    const name = keyInput.value.trim();
+    
+    saveSessionValues({ ...sessionState.values, [name]: valueInput.value }, () => {
+      keyInput.value = '';
+      valueInput.value = '';
+      showNotification(`Set {{session:${name}}}`);
+    });
+  });
+  
   // Settings button
   document.getElementById('settingsBtn').addEventListener('click', () => {
     chrome.runtime.openOptionsPage();
@@ -104,54 +159,121 @@ function setupEventListeners() {
 function updateStatusIndicator(enabled = true) {
   const statusDot = document.getElementById('statusDot');
   const statusText = document.getElementById('statusText');
+  const siteEnabled = !siteState.url ||
+    PromptExpanderSiteRules.isEnabledFor({ siteRules: siteState.siteRules }, siteState.url);
   
-  if (enabled) {
+  if (enabled && siteEnabled) {
     statusDot.classList.add('active');
     statusText.textContent = 'Active';
   } else {
     statusDot.classList.remove('active');
-    statusText.textContent = 'Disabled';
+    statusText.textContent = enabled ? 'Disabled on this site' : 'Disabled';
   }
 }
 
+// Offer the current site and the current page as scopes for the per-site
+// switch; pages that are not websites get no switch
+function updateSiteScopes(url) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+  
+  const scopeSelect = document.getElementById('siteScope');
+  scopeSelect.innerHTML = '';
+  scopeSelect.add(new Option(`Site: ${url.host}`, url.host));
+  if (url.pathname !== '/') {
+    scopeSelect.add(new Option(`Page: ${url.pathname}`, `${url.host}${url.pathname}*`));
+  }
+  
+  document.getElementById('siteRule').hidden = false;
+  updateSiteToggle();
+}
+
+// Reflect the rules for the current tab in the per-site switch
+function updateSiteToggle() {
+  document.getElementById('siteToggle').checked =
+    PromptExpanderSiteRules.isEnabledFor({ siteRules: siteState.siteRules }, siteState.url);
+  updateStatusIndicator(siteState.enabled);
+}
+
+// Show the session values of the current site; pages that are not
+// websites have none
+function loadSessionValues(url) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+  
+  sessionState.domain = url.hostname;
+  document.getElementById('sessionSection').hidden = false;
+  chrome.runtime.sendMessage({ type: 'GET_SESSION_DATA', domain: sessionState.domain }, (values) => {
+    renderSessionValues(values || {});
+  });
+}
+
+// Replace the current site's session values
+function saveSessionValues(values, onSaved) {
+  chrome.runtime.sendMessage({
+    type: 'SET_SESSION_DATA',
+    domain: sessionState.domain,
+    data: values
+  }, (response) => {
+    if (!response || !response.success) {
+      showNotification('Could not update session values', 'error');
+      return;
+    }
+    
+    renderSessionValues(response.data);
+    onSaved();
+  });
+}
+
+// List session values with a button to forget each
+function renderSessionValues(values) {
+  const container = document.getElementById('sessionValues');
+  sessionState.values = values;
+  container.innerHTML = '';
+  
+  if (Object.keys(values).length === 0) {
+    container.innerHTML = '<div class="empty-state">No values set on this site</div>';
+    return;
+  }
+  
+  Object.entries(values).forEach(([key, value]) => {
+    const item = document.createElement('div');
+    item.className = 'session-item';
+    item.innerHTML = `
+      <span class="snippet-key"></span>
+      <span class="session-value"></span>
+      <button class="session-remove" title="Forget">&times;</button>
+    `;
+    item.querySelector('.snippet-key').textContent = key;
+    item.querySelector('.session-value').textContent = value;
+    item.querySelector('.session-value').title = value;
+    item.querySelector('.session-remove').addEventListener('click', () => {
+      const remaining = { ...sessionState.values };
+      delete remaining[key];
+      saveSessionValues(remaining, () => showNotification(`Forgot {{session:${key}}}`));
+    });
+    container.appendChild(item);
+  });
+}
+
 // Update toggle state
 function updateToggleState(enabled) {
   const toggle = document.getElementById('extensionToggle');
   toggle.checked = enabled;
-  updateStatusIndicator(enabled);
+  siteState.enabled = enabled;
+  updateSiteToggle();
 }
 
-// Detect AI platform
-function detectAIPlatform() {
-  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-    const tab = tabs[0];
-    const url = tab.url;
-    const aiPlatformElement = document.getElementById('aiPlatform');
-    
-    let platform = 'Unknown';
-    
-    if (url.includes('chat.openai.com')) {
-      platform = 'ChatGPT';
-    } else if (url.includes('claude.ai') || url.includes('anthropic.com')) {
-      platform = 'Claude';
-    } else if (url.includes('bard.google.com')) {
-      platform = 'Bard';
-    } else if (url.includes('bing.com/chat')) {
-      platform = 'Bing Chat';
-    } else if (url.includes('poe.com')) {
-      platform = 'Poe';
-    } else if (url.includes('character.ai')) {
-      platform = 'Character.AI';
-    }
-    
-    aiPlatformElement.textContent = platform;
-    
-    // Add platform-specific styling
-    if (platform !== 'Unknown') {
-      aiPlatformElement.style.color = '#10b981';
-      aiPlatformElement.style.fontWeight = '600';
-    }
-  });
+// Detect the AI platform of the current tab from the platform registry
+function detectAIPlatform(aiPlatforms) {
+  const aiPlatformElement = document.getElementById('aiPlatform');
+  const platforms = PromptExpanderPlatforms.getPlatforms(aiPlatforms);
+  const platform = siteState.url ? PromptExpanderPlatforms.findPlatform(platforms, siteState.url) : null;
+  
+  aiPlatformElement.textContent = platform ? platform.name : 'Unknown';
+  aiPlatformElement.title = platform && platform.defaultModel ? `Default model: ${platform.defaultModel}` : '';
+  
+  // Add platform-specific styling
+  aiPlatformElement.style.color = platform ? '#10b981' : '';
+  aiPlatformElement.style.fontWeight = platform ? '600' : '';
 }
 
 // Update statistics
@@ -169,8 +291,13 @@ function updateStats(data) {
   document.getElementById('totalSnippets').textContent = Object.keys(data.snippets || {}).length;
   document.getElementById('totalTemplates').textContent = Object.keys(data.templates || {}).length;
   
-  // Calculate average tokens (placeholder)
-  document.getElementById('avgTokens').textContent = todayExpansions > 0 ? '~150' : '-';
+  // Average size of today's expansions that recorded a token count
+  const counted = Object.values(todayUsage).filter(item => item.tokens);
+  const countedExpansions = counted.reduce((sum, item) => sum + (item.count || 0), 0);
+  const totalTokens = counted.reduce((sum, item) => sum + item.tokens, 0);
+  document.getElementById('avgTokens').textContent = countedExpansions > 0
+    ? Math.round(totalTokens / countedExpansions).toLocaleString()
+    : '-';
 }
 
 // Update recent snippets
@@ -186,8 +313,8 @@ function updateRecentSnippets(snippets) {
   const recentSnippets = Object.entries(snippets).slice(0, 3);
   
   container.innerHTML = recentSnippets.map(([key, snippet]) => `
-    <div class="recent-item" data-trigger="${key}">
-      <span class="snippet-key">:${key}</span>
+    <div class="recent-item" data-trigger="${PromptExpanderSiteRules.getSnippetTrigger(key, snippet)}">
+      <span class="snippet-key">:${PromptExpanderSiteRules.getSnippetTrigger(key, snippet)}</span>
       <span class="snippet-desc">${snippet.description || 'No description'}</span>
     </div>
   `).join('');
@@ -239,10 +366,7 @@ function showTemplateMenu() {
           ${Object.entries(templates).map(([key, template]) => `
             <div class="template-item" data-template="${key}">
               <div class="template-name">${template.name}</div>
-              <div class="template-preview">
-                <div class="template-pre">${template.pre}</div>
-                <div class="template-post">${template.post}</div>
-              </div>
+              <div class="template-preview">${(template.body || '').replace(/\{\{\s*content\s*\}\}/g, '…')}</div>
             </div>
           `).join('')}
         </div>
@@ -312,7 +436,7 @@ function exportData() {
   chrome.runtime.sendMessage({
     type: 'EXPORT_DATA'
   }, (response) => {
-    if (response.data) {
+    if (response && response.data) {
       // Create download
       const blob = new Blob([response.data], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
@@ -324,6 +448,8 @@ function exportData() {
       
       URL.revokeObjectURL(url);
       showNotification('Data exported successfully');
+    } else {
+      showNotification('Export failed: ' + (response?.error || 'no response'), 'error');
     }
   });
 }
@@ -356,6 +482,21 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
     updateToggleState(changes.enabled.newValue);
   }
   
+  if (changes.siteRules) {
+    siteState.siteRules = changes.siteRules.newValue || [];
+    updateSiteToggle();
+  }
+  
+  if (changes.aiPlatforms) {
+    detectAIPlatform(changes.aiPlatforms.newValue);
+  }
+  
+  // Values set by {{set:...}} or a form while the popup is open
+  const sessionChange = sessionState.domain && changes[`session_${sessionState.domain}`];
+  if (sessionChange) {
+    renderSessionValues((sessionChange.newValue && sessionChange.newValue.values) || {});
+  }
+  
   // Refresh stats if usage data changed
   if (changes.usage || changes.snippets || changes.templates) {
     chrome.runtime.sendMessage({
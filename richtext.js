@@ -0,0 +1,434 @@
+// PromptExpander Rich Text - Markdown/HTML rendering shared by the content script and options page
+
+(() => {
+  'use strict';
+
+  if (self.PromptExpanderRichText) {
+    return;
+  }
+
+  // Elements kept when sanitizing snippet HTML; anything else is unwrapped
+  // to its children, and DROPPED_TAGS are removed with their contents
+  const ALLOWED_TAGS = [
+    'a', 'b', 'strong', 'i', 'em', 'u', 's', 'del', 'mark', 'sub', 'sup', 'code', 'pre', 'kbd',
+    'p', 'br', 'hr', 'div', 'span', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'ul', 'ol', 'li', 'blockquote', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ];
+  const DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'link', 'meta', 'form', 'input', 'button', 'textarea', 'select'];
+  const BLOCK_TAGS = ['p', 'div', 'pre', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'table', 'tr', 'hr'];
+  const SAFE_URL = /^(https?:|mailto:)/i;
+
+  // Left out of Markdown converted from the page, along with their contents;
+  // containers are converted as blocks without markup of their own
+  const SKIPPED_TAGS = [
+    'script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'link', 'meta', 'head',
+    'input', 'button', 'textarea', 'select', 'svg', 'canvas', 'video', 'audio'
+  ];
+  const CONTAINER_TAGS = [
+    'section', 'article', 'main', 'header', 'footer', 'nav', 'aside', 'figure', 'details', 'summary',
+    'dl', 'address', 'form', 'fieldset', 'body', 'center'
+  ];
+
+  // Render a snippet for insertion. Returns the HTML for rich targets and a
+  // plain-text fallback; Markdown falls back to its own source.
+  function renderRichText(source, format) {
+    if (format === 'markdown') {
+      return { html: markdownToHtml(source), text: source };
+    }
+    if (format === 'html') {
+      const html = sanitizeHtml(source);
+      return { html: html, text: htmlToPlainText(html) };
+    }
+    return { html: null, text: source };
+  }
+
+  // Convert a practical subset of Markdown: headings, paragraphs, emphasis,
+  // inline code, fenced code blocks, lists, blockquotes, links and rules
+  function markdownToHtml(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let i = 0;
+    
+    while (i < lines.length) {
+      const line = lines[i];
+      
+      // Fenced code block
+      const fence = line.match(/^\s*(```|~~~)\s*([\w+-]*)\s*$/);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+        const language = fence[2] ? ` class="language-${fence[2]}"` : '';
+        html.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+      
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+      
+      const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        const level = heading[1].length;
+        html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+        i++;
+        continue;
+      }
+      
+      if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        html.push('<hr>');
+        i++;
+        continue;
+      }
+      
+      if (/^\s*>/.test(line)) {
+        const quote = [];
+        while (i < lines.length && /^\s*>/.test(lines[i])) {
+          quote.push(lines[i].replace(/^\s*>\s?/, ''));
+          i++;
+        }
+        html.push(`<blockquote>${markdownToHtml(quote.join('\n'))}</blockquote>`);
+        continue;
+      }
+      
+      const listType = getListType(line);
+      if (listType) {
+        const items = [];
+        while (i < lines.length && getListType(lines[i]) === listType) {
+          items.push(lines[i].replace(/^\s*(?:[-*+]|\d+[.)])\s+/, ''));
+          i++;
+        }
+        const tag = listType === 'ordered' ? 'ol' : 'ul';
+        html.push(`<${tag}>${items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${tag}>`);
+        continue;
+      }
+      
+      // Paragraph: consecutive lines that start no other block
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) {
+        paragraph.push(renderInline(lines[i]));
+        i++;
+      }
+      html.push(`<p>${paragraph.join('<br>')}</p>`);
+    }
+    
+    return html.join('');
+  }
+
+  function getListType(line) {
+    if (/^\s*[-*+]\s+/.test(line)) return 'unordered';
+    if (/^\s*\d+[.)]\s+/.test(line)) return 'ordered';
+    return null;
+  }
+
+  function startsBlock(line) {
+    return /^\s*(```|~~~|#{1,6}\s|>)/.test(line) ||
+      /^\s*([-*_])(\s*\1){2,}\s*$/.test(line) ||
+      getListType(line) !== null;
+  }
+
+  // Inline Markdown; code spans are set aside first so their contents are
+  // left alone
+  function renderInline(text) {
+    const codeSpans = [];
+    let html = escapeHtml(text).replace(/`([^`]+)`/g, (match, code) => {
+      codeSpans.push(`<code>${code}</code>`);
+      return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+    
+    html = html
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+        const href = url.replace(/&amp;/g, '&');
+        return SAFE_URL.test(href) ? `<a href="${escapeHtml(href)}">${label}</a>` : label;
+      })
+      .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|\W)__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+      .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+      .replace(/(^|\W)_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+    
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+  }
+
+  // Keep only formatting markup: no scripts, handlers, styles or unsafe links
+  function sanitizeHtml(html) {
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    sanitizeChildren(doc.body);
+    return doc.body.innerHTML;
+  }
+
+  function sanitizeChildren(parent) {
+    Array.from(parent.children).forEach(element => {
+      const tag = element.tagName.toLowerCase();
+      
+      if (DROPPED_TAGS.includes(tag)) {
+        element.remove();
+        return;
+      }
+      
+      sanitizeChildren(element);
+      
+      if (!ALLOWED_TAGS.includes(tag)) {
+        element.replaceWith(...element.childNodes);
+        return;
+      }
+      
+      Array.from(element.attributes).forEach(attribute => {
+        const keep = (tag === 'a' && attribute.name === 'href' && SAFE_URL.test(attribute.value.trim())) ||
+          (tag === 'code' && attribute.name === 'class' && /^language-[\w+-]+$/.test(attribute.value));
+        if (!keep) {
+          element.removeAttribute(attribute.name);
+        }
+      });
+    });
+  }
+
+  // Plain-text version of HTML with line breaks between blocks and list
+  // markers kept
+  function htmlToPlainText(html) {
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    return collectText(doc.body).replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  function collectText(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.parentElement && node.parentElement.closest('pre')
+        ? node.textContent
+        : node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+    
+    const tag = node.tagName.toLowerCase();
+    if (tag === 'br') return '\n';
+    if (tag === 'hr') return '\n---\n';
+    
+    let text = Array.from(node.childNodes).map(collectText).join('');
+    
+    if (tag === 'li') {
+      const list = node.parentElement;
+      const marker = list && list.tagName === 'OL'
+        ? `${Array.from(list.children).indexOf(node) + 1}. `
+        : '- ';
+      text = marker + text.trim();
+    } else if (tag === 'a' && node.getAttribute('href') && node.getAttribute('href') !== text) {
+      text = `${text} (${node.getAttribute('href')})`;
+    } else if (tag === 'td' || tag === 'th') {
+      text = `${text.trim()}\t`;
+    }
+    
+    return BLOCK_TAGS.includes(tag) ? `\n${text.replace(/^\n+|\n+$/g, '')}\n` : text;
+  }
+
+  // Convert DOM content back to Markdown: headings, paragraphs, emphasis,
+  // code spans, fenced code blocks with their language, lists, blockquotes,
+  // tables, links and images. options.skip(element) leaves elements out and
+  // options.images: false drops images.
+  function domToMarkdown(root, options = {}) {
+    const context = { skip: options.skip, images: options.images !== false, fences: [] };
+    const markdown = convertNode(root, context)
+      .replace(/[ \t]+$/gm, '')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+    
+    // Code blocks are set aside while converting so cleanup leaves them
+    // alone; their lines line up under the list item or quote they are in
+    return markdown.replace(/^(.*?)\u0000(\d+)\u0000/gm, (match, prefix, index) => {
+      const indent = prefix.replace(/[^\s>]/g, ' ');
+      return prefix + context.fences[index].split('\n')
+        .map((line, number) => (number === 0 ? line : (line ? indent + line : indent.trimEnd())))
+        .join('\n');
+    });
+  }
+
+  function convertNode(node, context) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const text = node.textContent.replace(/\s+/g, ' ');
+      return text === ' ' && isBetweenBlocks(node) ? '' : text;
+    }
+    if (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE || node.nodeType === Node.DOCUMENT_NODE) {
+      return convertChildren(node, context);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+    
+    const tag = node.tagName.toLowerCase();
+    if (SKIPPED_TAGS.includes(tag) || node.hidden || node.getAttribute('aria-hidden') === 'true' ||
+        (context.skip && context.skip(node))) {
+      return '';
+    }
+    
+    switch (tag) {
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+        const text = collapseLines(convertChildren(node, context));
+        return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+      }
+      case 'p': case 'dt': case 'dd': case 'figcaption': case 'caption':
+        return block(convertChildren(node, context).replace(/\n /g, '\n'));
+      case 'br':
+        return '\n';
+      case 'hr':
+        return block('---');
+      case 'b': case 'strong':
+        return wrapInline(convertChildren(node, context), '**');
+      case 'i': case 'em':
+        return wrapInline(convertChildren(node, context), '*');
+      case 's': case 'del': case 'strike':
+        return wrapInline(convertChildren(node, context), '~~');
+      case 'code': case 'kbd': case 'samp':
+        return toCodeSpan(node.textContent);
+      case 'pre':
+        context.fences.push(toCodeFence(node));
+        return block(`\u0000${context.fences.length - 1}\u0000`);
+      case 'blockquote': {
+        const text = convertChildren(node, context).replace(/\n{3,}/g, '\n\n').trim();
+        return text ? block(text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')) : '';
+      }
+      case 'ul': case 'ol':
+        return block(convertList(node, context));
+      case 'li':
+        // A list item without its list, as in part of a selection
+        return `\n- ${convertChildren(node, context).replace(/\n{2,}/g, '\n').trim()}`;
+      case 'table':
+        return block(convertTable(node, context));
+      case 'a':
+        return convertLink(node, context);
+      case 'img': {
+        const alt = (node.getAttribute('alt') || '').trim();
+        return context.images && alt && SAFE_URL.test(node.src) ? `![${alt}](${node.src})` : '';
+      }
+      default: {
+        const text = convertChildren(node, context);
+        return BLOCK_TAGS.includes(tag) || CONTAINER_TAGS.includes(tag) ? block(text) : text;
+      }
+    }
+  }
+
+  function convertChildren(node, context) {
+    return Array.from(node.childNodes).map(child => convertNode(child, context)).join('');
+  }
+
+  // Whitespace between two blocks, or at the edge of one, is only layout
+  function isBetweenBlocks(node) {
+    const isBlock = sibling => !sibling ||
+      (sibling.nodeType === Node.ELEMENT_NODE && [...BLOCK_TAGS, ...CONTAINER_TAGS].includes(sibling.tagName.toLowerCase()));
+    return isBlock(node.previousSibling) || isBlock(node.nextSibling);
+  }
+
+  function block(text) {
+    const content = text.trim();
+    return content ? `\n\n${content}\n\n` : '';
+  }
+
+  function collapseLines(text) {
+    return text.replace(/\s*\n\s*/g, ' ').trim();
+  }
+
+  // Emphasis markers must touch the text, so surrounding spaces move outside
+  function wrapInline(text, marker) {
+    const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return inner ? `${before}${marker}${inner}${marker}${after}` : text;
+  }
+
+  function toCodeSpan(code) {
+    const text = code.replace(/\s*\n\s*/g, ' ');
+    if (!text.trim()) return '';
+    const ticks = '`'.repeat(longestRun(text, '`') + 1);
+    const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+    return `${ticks}${padding}${text}${padding}${ticks}`;
+  }
+
+  // Fence a code block with its language and a fence longer than any
+  // backtick run inside it
+  function toCodeFence(pre) {
+    const code = pre.textContent.replace(/\n$/, '');
+    const fence = '`'.repeat(Math.max(3, longestRun(code, '`') + 1));
+    return `${fence}${getCodeLanguage(pre)}\n${code}\n${fence}`;
+  }
+
+  function longestRun(text, character) {
+    const runs = text.match(new RegExp(`\\${character}+`, 'g')) || [];
+    return runs.reduce((longest, run) => Math.max(longest, run.length), 0);
+  }
+
+  // Language hint from the class names highlighters put on the block, its
+  // code element or its wrapper ("language-js", "lang-py",
+  // "highlight-source-rust", data-language)
+  function getCodeLanguage(pre) {
+    const candidates = [pre.querySelector('code'), pre, pre.parentElement].filter(Boolean);
+    for (const element of candidates) {
+      const data = element.getAttribute('data-language') || element.getAttribute('data-lang');
+      if (data && /^[\w+#.-]+$/.test(data)) return data.toLowerCase();
+      
+      const match = (element.getAttribute('class') || '').match(/(?:^|\s)(?:language|lang|highlight-source|brush:)-?\s*([\w+#-]+)/);
+      if (match) return match[1].toLowerCase();
+    }
+    return '';
+  }
+
+  // Nested content is indented under its item so it stays part of it
+  function convertList(list, context) {
+    const ordered = list.tagName === 'OL';
+    let number = Number(list.getAttribute('start')) || 1;
+    
+    return Array.from(list.children)
+      .filter(item => item.tagName === 'LI')
+      .map(item => {
+        const marker = ordered ? `${number++}. ` : '- ';
+        const text = convertChildren(item, context).replace(/\n{2,}/g, '\n').trim();
+        const indent = ' '.repeat(marker.length);
+        return marker + text.split('\n').map((line, index) => (index && line ? indent + line : line)).join('\n');
+      })
+      .filter(item => item.trim() !== '-' && !/^\d+\.\s*$/.test(item))
+      .join('\n');
+  }
+
+  // GitHub-style table; the first row is the header
+  function convertTable(table, context) {
+    const rows = Array.from(table.rows).map(row => Array.from(row.cells).map(cell => {
+      return collapseLines(convertChildren(cell, context)).replace(/\|/g, '\\|');
+    }));
+    if (!rows.length) return '';
+    
+    const width = Math.max(...rows.map(row => row.length));
+    const formatRow = row => `| ${Array.from({ length: width }, (value, index) => row[index] || '').join(' | ')} |`;
+    return [
+      formatRow(rows[0]),
+      formatRow(Array(width).fill('---')),
+      ...rows.slice(1).map(formatRow)
+    ].join('\n');
+  }
+
+  // Links keep their absolute URL; anything else keeps only its text
+  function convertLink(link, context) {
+    const text = convertChildren(link, context);
+    const label = collapseLines(text);
+    if (!label || !SAFE_URL.test(link.href || '')) return text;
+    
+    return label === link.href ? `<${link.href}>` : `[${label.replace(/[[\]]/g, '\\$&')}](${link.href.replace(/\(/g, '%28').replace(/\)/g, '%29')})`;
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  self.PromptExpanderRichText = {
+    renderRichText,
+    markdownToHtml,
+    sanitizeHtml,
+    htmlToPlainText,
+    domToMarkdown
+  };
+})();
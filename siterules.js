@@ -0,0 +1,189 @@
+// PromptExpander Site Rules - Per-site enable/disable rules and snippet scopes shared by every extension page
+
+(() => {
+  'use strict';
+
+  if (self.PromptExpanderSiteRules) {
+    return;
+  }
+
+  // A rule pattern is either a domain ("example.com", "*.example.com" for the
+  // domain and its subdomains, optionally with a port) or a URL pattern with a
+  // path and * wildcards ("example.com/admin/*", "https://*.example.com/*").
+  // URL patterns without a scheme match any scheme.
+  const DOMAIN_PATTERN = /^(\*\.)?[a-z0-9.-]+(:\d+)?$/;
+  const URL_PATTERN = /^([a-z*]+:\/\/)?[a-z0-9.*-]+(:\d+)?\/\S*$/;
+  const SCHEME = /^[a-z*]+:\/\//;
+
+  // Snippet scopes are site rule patterns or "platform:<id>", which covers
+  // every site of an AI platform in the platform registry
+  const PLATFORM_SCOPE = /^platform:([\w-]+)$/;
+
+  // Clean up a pattern as typed; returns null when it is not a valid pattern
+  function normalizePattern(input) {
+    let pattern = String(input || '').trim();
+    const scheme = (pattern.match(SCHEME) || [''])[0].toLowerCase();
+    const rest = pattern.substring(scheme.length);
+    
+    // Lowercase the host but keep the path as written
+    const slash = rest.indexOf('/');
+    const host = (slash === -1 ? rest : rest.substring(0, slash)).toLowerCase();
+    const path = slash === -1 ? '' : rest.substring(slash);
+    
+    // A bare origin such as "https://example.com/" is just a domain
+    if (!path || path === '/') {
+      return DOMAIN_PATTERN.test(host) ? host : null;
+    }
+    
+    pattern = scheme + host + path;
+    return URL_PATTERN.test(pattern) ? pattern : null;
+  }
+
+  function isUrlPattern(pattern) {
+    return pattern.includes('/');
+  }
+
+  // Whether a pattern matches a parsed URL
+  function matchesPattern(pattern, url) {
+    if (!isUrlPattern(pattern)) {
+      const host = pattern.includes(':') ? url.host : url.hostname;
+      if (pattern.startsWith('*.')) {
+        const domain = pattern.substring(2);
+        return host === domain || host.endsWith(`.${domain}`);
+      }
+      return host === pattern;
+    }
+    
+    const target = SCHEME.test(pattern)
+      ? `${url.protocol}//${url.host}${url.pathname}${url.search}`
+      : `${url.host}${url.pathname}${url.search}`;
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(target);
+  }
+
+  // Positive when pattern a is more specific than pattern b: URL patterns
+  // beat domains, then the longer pattern (ignoring wildcards) wins
+  function compareSpecificity(a, b) {
+    if (isUrlPattern(a) !== isUrlPattern(b)) {
+      return isUrlPattern(a) ? 1 : -1;
+    }
+    return a.replace(/\*/g, '').length - b.replace(/\*/g, '').length;
+  }
+
+  function toUrl(url) {
+    try {
+      return typeof url === 'string' ? new URL(url) : url;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Find the most specific rule matching a URL; on a tie the later rule wins
+  function findSiteRule(rules, url) {
+    const target = toUrl(url);
+    if (!target) return null;
+    
+    return (rules || []).reduce((best, rule) => {
+      if (!matchesPattern(rule.pattern, target)) return best;
+      return !best || compareSpecificity(rule.pattern, best.pattern) >= 0 ? rule : best;
+    }, null);
+  }
+
+  // Whether expansion runs on a URL. The global switch always wins; site
+  // rules then decide, and sites without a rule are enabled.
+  function isEnabledFor(settings, url) {
+    if (settings.enabled === false) return false;
+    
+    const rule = findSiteRule(settings.siteRules, url);
+    return rule ? rule.enabled : true;
+  }
+
+  // Set the state of a pattern so the URL it was chosen for ends up enabled
+  // or disabled. More specific rules for that URL are dropped, and a rule
+  // that only restates what broader rules already give is not kept.
+  function setSiteRule(rules, pattern, enabled, url) {
+    const target = toUrl(url);
+    const others = (rules || []).filter(rule => {
+      if (rule.pattern === pattern) return false;
+      return !(target && matchesPattern(rule.pattern, target) && compareSpecificity(rule.pattern, pattern) > 0);
+    });
+    
+    const inherited = findSiteRule(others, url);
+    if ((inherited ? inherited.enabled : true) === enabled) {
+      return others;
+    }
+    return [...others, { pattern: pattern, enabled: enabled }];
+  }
+
+  // Clean up a snippet scope as typed; returns null when it is not valid.
+  // Platform scopes must name one of the given platforms.
+  function normalizeScope(input, platforms) {
+    const scope = String(input || '').trim();
+    const platform = scope.toLowerCase().match(PLATFORM_SCOPE);
+    
+    if (platform) {
+      return (platforms || []).some(candidate => candidate.id === platform[1]) ? `platform:${platform[1]}` : null;
+    }
+    return normalizePattern(scope);
+  }
+
+  // How specifically a snippet's scopes apply to a URL: -1 when none
+  // matches, 0 for an unscoped snippet, then platforms, domains and URL
+  // patterns in increasing order, longer patterns ranking higher
+  function getScopeSpecificity(scopes, url, platformId) {
+    if (!scopes || scopes.length === 0) return 0;
+    
+    const target = toUrl(url);
+    if (!target) return -1;
+    
+    return scopes.reduce((best, scope) => {
+      const platformScope = scope.match(PLATFORM_SCOPE);
+      let score = -1;
+      
+      if (platformScope) {
+        score = platformScope[1] === platformId ? 1 : -1;
+      } else if (matchesPattern(scope, target)) {
+        score = (isUrlPattern(scope) ? 10000 : 100) + scope.replace(/\*/g, '').length;
+      }
+      return Math.max(best, score);
+    }, -1);
+  }
+
+  // The trigger that expands a snippet: its own, or its key
+  function getSnippetTrigger(key, snippet) {
+    return (snippet && snippet.trigger) || key;
+  }
+
+  // Map each trigger to the key of the snippet it expands on a URL: the
+  // most specific of the snippets with that trigger whose scopes apply.
+  // platformId is the AI platform serving the URL, if any. Ties go to the
+  // key that sorts first.
+  function getSnippetsForUrl(snippets, url, platformId) {
+    const chosen = {};
+    const scores = {};
+    
+    Object.keys(snippets || {}).sort().forEach(key => {
+      const snippet = snippets[key];
+      const trigger = getSnippetTrigger(key, snippet);
+      const score = getScopeSpecificity(snippet.scopes, url, platformId);
+      
+      if (score >= 0 && (!(trigger in scores) || score > scores[trigger])) {
+        chosen[trigger] = key;
+        scores[trigger] = score;
+      }
+    });
+    
+    return chosen;
+  }
+
+  self.PromptExpanderSiteRules = {
+    normalizePattern,
+    matchesPattern,
+    findSiteRule,
+    isEnabledFor,
+    setSiteRule,
+    normalizeScope,
+    getSnippetTrigger,
+    getSnippetsForUrl
+  };
+})();
@@ -0,0 +1,300 @@
+// PromptExpander Tokenizer - Offline byte pair encoding token counts for the background script
+
+(() => {
+  'use strict';
+
+  if (self.PromptExpanderTokenizer) {
+    return;
+  }
+
+  // Vocabularies ship with the extension in tiktoken's format: one
+  // base64-encoded token and its rank per line. Text is first split into
+  // pieces by the encoding's pattern, then each piece is merged byte pair
+  // by byte pair, lowest rank first.
+  const ENCODINGS = {
+    o200k_base: {
+      file: 'tokenizers/o200k_base.tiktoken',
+      pattern: new RegExp([
+        "[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]*[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]+(?:'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD])?",
+        "[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]+[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]*(?:'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD])?",
+        '\\p{N}{1,3}',
+        ' ?[^\\s\\p{L}\\p{N}]+[\\r\\n/]*',
+        '\\s*[\\r\\n]+',
+        '\\s+(?!\\S)',
+        '\\s+'
+      ].join('|'), 'gu')
+    },
+    cl100k_base: {
+      file: 'tokenizers/cl100k_base.tiktoken',
+      pattern: new RegExp([
+        "'(?:[sS]|[tT]|[rR][eE]|[vV][eE]|[mM]|[lL][lL]|[dD])",
+        '[^\\r\\n\\p{L}\\p{N}]?\\p{L}+',
+        '\\p{N}{1,3}',
+        ' ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*',
+        '\\s*[\\r\\n]+',
+        '\\s+(?!\\S)',
+        '\\s+'
+      ].join('|'), 'gu')
+    }
+  };
+
+  const DEFAULT_ENCODING = 'o200k_base';
+
+  // Marks where "middle" truncation removed text
+  const MIDDLE_MARKER = '\n[…]\n';
+
+  // Token counts of recently seen pieces, per encoding
+  const MAX_CACHED_PIECES = 20000;
+
+  const loaded = {};
+  const pieceCache = {};
+  const utf8 = new TextEncoder();
+
+  // Pick the vocabulary for a model name. Older OpenAI models use cl100k;
+  // everything else, including models whose vocabulary is not published,
+  // is counted with o200k, the closest bundled one.
+  function getEncodingForModel(model) {
+    const name = String(model || '').toLowerCase();
+    if (/^(gpt-4(?![o.])|gpt-3\.5|text-embedding-3|text-embedding-ada)/.test(name)) {
+      return 'cl100k_base';
+    }
+    return DEFAULT_ENCODING;
+  }
+
+  // Load and parse an encoding's vocabulary once; later calls share it
+  function loadRanks(encoding) {
+    if (!loaded[encoding]) {
+      loaded[encoding] = fetch(chrome.runtime.getURL(ENCODINGS[encoding].file))
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Could not load ${ENCODINGS[encoding].file}: ${response.status}`);
+          }
+          return response.text();
+        })
+        .then(parseRanks)
+        .catch(error => {
+          // Try again on the next count rather than estimating until the
+          // worker restarts
+          delete loaded[encoding];
+          console.warn('Tokenizer unavailable, estimating token counts:', error);
+          throw error;
+        });
+    }
+    return loaded[encoding];
+  }
+
+  // Map each token, as a string of byte values, to its rank
+  function parseRanks(text) {
+    const ranks = new Map();
+    text.split('\n').forEach(line => {
+      const space = line.indexOf(' ');
+      if (space > 0) {
+        ranks.set(atob(line.substring(0, space)), Number(line.substring(space + 1)));
+      }
+    });
+    return ranks;
+  }
+
+  // Count the tokens in a text. When the vocabulary cannot be loaded the
+  // count falls back to a character estimate and exact is false.
+  async function countTokens(text, encoding = DEFAULT_ENCODING) {
+    const pieces = await tokenizePieces(text, encoding);
+    return {
+      count: pieces.counts.reduce((sum, count) => sum + count, 0),
+      exact: pieces.exact,
+      encoding: pieces.encoding
+    };
+  }
+
+  // Cut a text down to at most maxTokens, keeping its start ("head"), its
+  // end ("tail") or both ("middle", with the cut marked). Cuts fall between
+  // pre-tokenization pieces, which never merge across each other.
+  async function truncateTokens(text, maxTokens, mode = 'head', encoding = DEFAULT_ENCODING) {
+    const pieces = await tokenizePieces(text, encoding);
+    const total = pieces.counts.reduce((sum, count) => sum + count, 0);
+    if (total <= maxTokens) {
+      return { text: text, count: total, exact: pieces.exact };
+    }
+    
+    // Number of pieces from one end that fit in a budget
+    const take = (counts, budget) => {
+      let used = 0;
+      let taken = 0;
+      while (taken < counts.length && used + counts[taken] <= budget) {
+        used += counts[taken];
+        taken++;
+      }
+      return { taken: taken, used: used };
+    };
+    
+    if (mode === 'tail') {
+      const tail = take(pieces.counts.slice().reverse(), maxTokens);
+      return { text: pieces.texts.slice(pieces.texts.length - tail.taken).join(''), count: tail.used, exact: pieces.exact };
+    }
+    // Too small a budget for the marker keeps the start instead
+    const markerTokens = mode === 'middle' ? (await countTokens(MIDDLE_MARKER, encoding)).count : 0;
+    if (mode === 'middle' && markerTokens < maxTokens) {
+      const budget = maxTokens - markerTokens;
+      const head = take(pieces.counts, Math.ceil(budget / 2));
+      const tail = take(pieces.counts.slice(head.taken).reverse(), budget - head.used);
+      return {
+        text: pieces.texts.slice(0, head.taken).join('') + MIDDLE_MARKER + pieces.texts.slice(pieces.texts.length - tail.taken).join(''),
+        count: head.used + markerTokens + tail.used,
+        exact: pieces.exact
+      };
+    }
+    
+    const head = take(pieces.counts, maxTokens);
+    return { text: pieces.texts.slice(0, head.taken).join(''), count: head.used, exact: pieces.exact };
+  }
+
+  // Split a text into pre-tokenization pieces with the token count of each.
+  // Without a vocabulary, pieces are four-character chunks of one token.
+  async function tokenizePieces(text, encoding) {
+    if (!ENCODINGS[encoding]) {
+      encoding = DEFAULT_ENCODING;
+    }
+    const pieces = { texts: [], counts: [], exact: true, encoding: encoding };
+    if (!text) {
+      return pieces;
+    }
+    
+    let ranks;
+    try {
+      ranks = await loadRanks(encoding);
+    } catch (error) {
+      pieces.texts = text.match(/[\s\S]{1,4}/g);
+      pieces.counts = pieces.texts.map(() => 1);
+      pieces.exact = false;
+      return pieces;
+    }
+    
+    const cache = pieceCache[encoding] || (pieceCache[encoding] = new Map());
+    
+    for (const [piece] of text.matchAll(ENCODINGS[encoding].pattern)) {
+      let pieceCount = cache.get(piece);
+      if (pieceCount === undefined) {
+        pieceCount = bytePairEncode(toByteString(piece), ranks).length;
+        if (cache.size >= MAX_CACHED_PIECES) {
+          cache.clear();
+        }
+        cache.set(piece, pieceCount);
+      }
+      pieces.texts.push(piece);
+      pieces.counts.push(pieceCount);
+    }
+    
+    return pieces;
+  }
+
+  // UTF-8 bytes of a string as a string of byte values, the form the
+  // vocabulary is keyed by
+  function toByteString(text) {
+    let bytes = '';
+    for (const byte of utf8.encode(text)) {
+      bytes += String.fromCharCode(byte);
+    }
+    return bytes;
+  }
+
+  // Merge the bytes of a piece into tokens, always taking the adjacent pair
+  // with the lowest rank (the leftmost of equals), and return the token
+  // ranks. Candidate pairs wait in a heap, so long runs of punctuation or
+  // whitespace merge in O(n log n) rather than rescanning every pair.
+  function bytePairEncode(piece, ranks) {
+    if (ranks.has(piece)) {
+      return [ranks.get(piece)];
+    }
+    
+    // The current parts as a linked list: each part starts at a byte
+    // offset and ends where the next one starts. A part's version changes
+    // whenever its pair with the next part does, which retires the pair's
+    // older heap entries.
+    const length = piece.length;
+    const next = Array.from({ length: length }, (value, index) => index + 1);
+    const previous = Array.from({ length: length }, (value, index) => index - 1);
+    const versions = new Array(length).fill(0);
+    const heap = [];
+    
+    const pushPair = start => {
+      const end = next[start];
+      if (end >= length) return;
+      const rank = ranks.get(piece.substring(start, next[end]));
+      if (rank !== undefined) {
+        heapPush(heap, { rank: rank, start: start, version: versions[start] });
+      }
+    };
+    
+    for (let i = 0; i < length - 1; i++) {
+      pushPair(i);
+    }
+    
+    while (heap.length > 0) {
+      const pair = heapPop(heap);
+      if (pair.version !== versions[pair.start]) continue;
+      
+      const right = next[pair.start];
+      next[pair.start] = next[right];
+      if (next[right] < length) {
+        previous[next[right]] = pair.start;
+      }
+      versions[right]++;
+      versions[pair.start]++;
+      pushPair(pair.start);
+      
+      const left = previous[pair.start];
+      if (left >= 0) {
+        versions[left]++;
+        pushPair(left);
+      }
+    }
+    
+    const tokens = [];
+    for (let start = 0; start < length; start = next[start]) {
+      tokens.push(ranks.get(piece.substring(start, next[start])));
+    }
+    return tokens;
+  }
+
+  // Pairs are ordered by rank, then by position
+  function comparePairs(a, b) {
+    return a.rank - b.rank || a.start - b.start;
+  }
+
+  function heapPush(heap, pair) {
+    heap.push(pair);
+    let index = heap.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (comparePairs(heap[parent], heap[index]) <= 0) break;
+      [heap[parent], heap[index]] = [heap[index], heap[parent]];
+      index = parent;
+    }
+  }
+
+  function heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < heap.length && comparePairs(heap[left], heap[smallest]) < 0) smallest = left;
+        if (right < heap.length && comparePairs(heap[right], heap[smallest]) < 0) smallest = right;
+        if (smallest === index) break;
+        [heap[smallest], heap[index]] = [heap[index], heap[smallest]];
+        index = smallest;
+      }
+    }
+    return top;
+  }
+
+  self.PromptExpanderTokenizer = {
+    getEncodingForModel,
+    countTokens,
+    truncateTokens
+  };
+})();